@@ -0,0 +1,105 @@
+/*
+ * attributes.js
+ *
+ * luaparse doesn't know the variable attributes of Lua 5.4, as in `local x <const> = 1` and `local f <close> = h`.
+ * They are blanked out of the source before it's parsed, keeping every position, then set as the `attribute`
+ * of the variables they follow.
+ */
+
+const { tokenize } = require("./parens");
+
+/** The attributes Lua 5.4 knows */
+const ATTRIBUTES = ['const', 'close'];
+
+/**
+ * Blank out the attributes of a source
+ * @param {{}} luaparse - The luaparse instance to lex with
+ * @param {string} source
+ * @param {{}} options - The options the source is parsed with
+ * @returns {{source: string, attributes: Object<number, string>}} The source without them, and the attribute of
+ * each variable by the offset it starts at
+ * @throws {luaparse.SyntaxError} If an attribute isn't one of Lua 5.4's
+ */
+function stripAttributes(luaparse, source, options) {
+    var tokens = tokenize(luaparse, source, options);
+    var types = luaparse.tokenTypes;
+    var isPunctuator = function(token, value) {
+        return token && token.type == types.Punctuator && token.value == value;
+    };
+
+    var attributes = {};
+    var blanked = [];
+    for (var index = 0; index < tokens.length; index++) {
+        if (tokens[index].type != types.Keyword || tokens[index].value != 'local') continue;
+        // local name [<attrib>] {, name [<attrib>]}
+        var next = index + 1;
+        while (tokens[next] && tokens[next].type == types.Identifier) {
+            var name = tokens[next];
+            next++;
+            if (isPunctuator(tokens[next], '<') && tokens[next + 1] && tokens[next + 1].type == types.Identifier &&
+                isPunctuator(tokens[next + 2], '>')) {
+                var attribute = tokens[next + 1];
+                if (ATTRIBUTES.indexOf(attribute.value) < 0) {
+                    var column = attribute.range[0] - attribute.lineStart;
+                    var error = new luaparse.SyntaxError(`[${attribute.line}:${column}] unknown attribute '${attribute.value}'`);
+                    error.index = attribute.range[0];
+                    error.line = attribute.line;
+                    error.column = column;
+                    throw error;
+                }
+                attributes[name.range[0]] = attribute.value;
+                blanked.push([tokens[next].range[0], tokens[next + 2].range[1]]);
+                next += 3;
+            }
+            if (!isPunctuator(tokens[next], ',')) break;
+            next++;
+        }
+        index = next - 1;
+    }
+
+    // newlines are kept, so that lines and offsets don't change
+    for (var range of blanked.reverse()) {
+        source = source.slice(0, range[0]) + source.slice(range[0], range[1]).replace(/[^\r\n]/g, ' ') + source.slice(range[1]);
+    }
+    return { source: source, attributes: attributes };
+}
+
+/**
+ * Parse a source, with the variable attributes of the targets that have them
+ * @param {{}} luaparse
+ * @param {string} source
+ * @param {{}} options - luaparse options, with `ranges: true`
+ * @param {{attributes: boolean?}} target - See targets.js
+ * @returns {{ast: {}, source: string}} The AST, and the source it was parsed from, without the attributes
+ */
+function parse(luaparse, source, options, target) {
+    if (!target.attributes)
+        return { ast: luaparse.parse(source, options), source: source };
+
+    var stripped = stripAttributes(luaparse, source, options);
+    var ast = luaparse.parse(stripped.source, { ...options, ranges: true });
+    var visit = function(node) {
+        if (!node || typeof node != 'object') return;
+        if (Array.isArray(node)) {
+            node.forEach(visit);
+            return;
+        }
+        if (node.type == 'LocalStatement') {
+            node.variables.forEach(function(variable) {
+                if (variable.range[0] in stripped.attributes)
+                    variable.attribute = stripped.attributes[variable.range[0]];
+            });
+        }
+        Object.keys(node).forEach(function(key) {
+            if (key != 'loc' && key != 'range') visit(node[key]);
+        });
+    };
+    visit(ast.body);
+    return { ast: ast, source: stripped.source };
+}
+
+module.exports = {
+    ATTRIBUTES: ATTRIBUTES,
+    stripAttributes: stripAttributes,
+    parse: parse,
+};
@@ -0,0 +1,146 @@
+/*
+ * cache.js
+ *
+ * Persistent cache of parsed scripts, reused across runs of onelua.
+ * Each entry is a JSON file named after the hash of the script's path and the build options, holding the hash of
+ * the contents it was parsed from, so that a script has one entry per set of options however often it changes.
+ * Entries are kept in a directory per version of onelua.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/** Where the cache is kept, relative to the project's root */
+const DEFAULT_CACHE_DIR = path.join("node_modules", ".cache", "onelua");
+
+/** Entries written by other versions of onelua are never read, as the ASTs may have changed shape */
+const VERSION = require("./package.json").version;
+
+/** Entries neither read nor written for this long are deleted, e.g. those of removed scripts, in milliseconds */
+const MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+class DiskCache {
+    /**
+     * @param {string} root - Absolute path to the cache directory
+     */
+    constructor(root) {
+        this.root = root;
+        this.dir = path.join(root, VERSION);
+    }
+
+    /**
+     * @param {{}} parts - The script and the options its AST depends on
+     * @returns {string}
+     */
+    key(parts) {
+        return crypto.createHash("sha1").update(JSON.stringify(parts)).digest("hex");
+    }
+
+    /**
+     * Delete the entries of other versions of onelua, and those unused for `MAX_AGE`
+     * @param {number} [now] - Current time in milliseconds
+     */
+    prune(now) {
+        now = now || Date.now();
+        var list = (dir) => {
+            try {
+                return fs.readdirSync(dir);
+            } catch (e) {
+                return [];
+            }
+        };
+        list(this.root).forEach((name) => {
+            if (name != VERSION) fs.rmSync(path.join(this.root, name), { recursive: true, force: true });
+        });
+        list(this.dir).forEach((name) => {
+            var file = path.join(this.dir, name);
+            try {
+                if (now - fs.statSync(file).mtimeMs > MAX_AGE) fs.unlinkSync(file);
+            } catch (e) { /* deleted by another build */ }
+        });
+    }
+
+    /**
+     * Read a parsed script back, restoring which of its nodes are the sites
+     * @param {string} key
+     * @returns {{hash: string, ast: {}, sites: {}[]}?} Null if it isn't cached or can't be read
+     */
+    get(key) {
+        var file = path.join(this.dir, key + ".json");
+        var json;
+        try {
+            json = fs.readFileSync(file, "utf-8");
+            // keeps it from being pruned
+            var now = new Date();
+            fs.utimesSync(file, now, now);
+        } catch (e) {
+            return null;
+        }
+
+        var nodes = [];
+        var entry;
+        try {
+            entry = JSON.parse(json, function(name, value) {
+                if (value && typeof value == "object" && value.siteIndex != null) {
+                    nodes[value.siteIndex] = value;
+                    delete value.siteIndex;
+                }
+                return value;
+            });
+        } catch (e) {
+            return null;  // e.g. truncated by an interrupted write
+        }
+        entry.sites.forEach(function(site, index) {
+            site.node = nodes[index];
+        });
+        return entry;
+    }
+
+    /**
+     * Write a parsed script, remembering which of its nodes are the sites.
+     * Failing to write only means the script is parsed again next time.
+     * @param {string} key
+     * @param {{hash: string, ast: {}, sites: {}[]}} entry - With the hash of the contents the script was parsed from
+     */
+    set(key, entry) {
+        var indexes = new Map(entry.sites.map(function(site, index) {
+            return [site.node, index];
+        }));
+        var json = JSON.stringify(entry, function(name, value) {
+            if (name == "node") return undefined;  // the site's node, marked in the AST instead
+            if (indexes.has(value)) return { ...value, siteIndex: indexes.get(value) };
+            return value;
+        });
+
+        var file = path.join(this.dir, key + ".json");
+        var temporary = `${file}.${process.pid}.tmp`;
+        try {
+            fs.mkdirSync(this.dir, { recursive: true });
+            // renamed once complete, so that other builds never read half a file
+            fs.writeFileSync(temporary, json);
+            fs.renameSync(temporary, file);
+        } catch (e) {
+            try { fs.unlinkSync(temporary); } catch (e) { /* never written */ }
+        }
+    }
+}
+
+/**
+ * Delete a cache directory, with the entries of every version
+ * @param {string} dir
+ * @returns {boolean} Whether there was anything to delete
+ */
+function clean(dir) {
+    if (!fs.existsSync(dir))
+        return false;
+    fs.rmSync(dir, { recursive: true, force: true });
+    return true;
+}
+
+module.exports = {
+    DEFAULT_CACHE_DIR: DEFAULT_CACHE_DIR,
+    MAX_AGE: MAX_AGE,
+    DiskCache: DiskCache,
+    clean: clean,
+};
@@ -7,18 +7,48 @@ const path = require("path");
 const { ArgumentParser } = require("argparse");
 const { performance } = require("perf_hooks");
 const onelua = require("./onelua.js");
+const fmt = require("./fmt.js");
+const glob = require("./glob.js");
+const graph = require("./graph.js");
+const cache = require("./cache.js");
+const { loadPlugins } = require("./plugins.js");
+const { parseDefine } = require("./defines.js");
+
+async function cli() {
+    if (process.argv[2] == 'fmt')
+        return format(process.argv.slice(3));
+    if (process.argv[2] == 'cache')
+        return cacheCommand(process.argv.slice(3));
 
-function cli() {
     /* Parse args */
     const parser = new ArgumentParser({
         description: 'Argparse example',
         add_help: true
     });
     parser.add_argument('source', { help: "Path to the Lua project or entry point Lua file" });
+    parser.add_argument('-b', '--build', { help: "Name of the build in package.json to run, all of them by default" });
     parser.add_argument('-o', '--output', { help: "Path to the output Lua file" });
     parser.add_argument('--debug', { help: "Turn on debugging logs", action: 'store_true' });
     parser.add_argument('--no-minify', { help: "Turn off minified output", action: 'store_true' });
+    parser.add_argument('--comments', { help: "Comments to keep: all (default with --no-minify), important (default, e.g. --[[! ... ]] and @license) or none", choices: ['all', 'important', 'none'] });
+    addFormatArguments(parser);
     parser.add_argument('--prepend-meta', { help: "Prepend the name & date-time generated", action: 'store_true' });
+    parser.add_argument('-t', '--target', { help: "Lua version to parse and output: 5.1 (default), 5.2, 5.3, 5.4 or LuaJIT" });
+    parser.add_argument('--debug-bundle', { help: "Rewrite runtime errors and tracebacks to point to the original files (implies --no-minify)", action: 'store_true' });
+    parser.add_argument('--source-map', { help: "Write a source map of the output to <output>.map", action: 'store_true' });
+    parser.add_argument('-d', '--define', { help: "Replace a global identifier by a literal in every module, e.g. DEBUG=false or VERSION='\"1.4.2\"' (can be repeated)", action: 'append' });
+    parser.add_argument('--check-globals', { help: "Fail on globals outside of the standard library of the target", action: 'store_true' });
+    parser.add_argument('--globals-version', { help: "Check globals against the standard library of this Lua version instead of the target's: 5.1, 5.2, 5.3, 5.4 or LuaJIT (implies --check-globals)" });
+    parser.add_argument('--allow-global', { help: "Global to allow with --check-globals (can be repeated)", action: 'append' });
+    parser.add_argument('--circular', { help: "Allow circular requires, returning what a module still loading stored in package.loaded so far", action: 'store_true' });
+    parser.add_argument('--preload', { help: "Register the modules in package.preload under their require names, sharing them with code that calls require() at runtime", action: 'store_true' });
+    parser.add_argument('--graph', { help: "Write the module graph to a file, as Graphviz DOT if it ends with .dot or .gv, JSON otherwise" });
+    parser.add_argument('--dynamic-require', { help: "Register bundled modules under their require name, allowing require() with a non-literal argument", action: 'store_true' });
+    parser.add_argument('--external', { help: "Module name or glob of a module provided at runtime, whose require() is left as is (can be repeated)", action: 'append' });
+    parser.add_argument('--lua-path', { help: "Templates to search modules with, like package.path (default: \"?.lua;?/init.lua\")" });
+    parser.add_argument('--include', { help: "Module name or glob to bundle for dynamic requires (can be repeated)", action: 'append' });
+    parser.add_argument('--no-cache', { help: "Don't read or write the cache of parsed scripts in node_modules/.cache/onelua", action: 'store_true' });
+    parser.add_argument('-w', '--watch', { help: "Rebuild whenever a script in the module graph changes", action: 'store_true' });
 
     const args = parser.parse_args();
 
@@ -27,9 +57,15 @@ function cli() {
         return 1;
     }
 
-    var entryFile = null;
-    var outputFile = args.output;
+    /**
+     * The builds to run
+     * @type {{name: string?, entryFile: string, outputFile: string, config: {}}[]}
+     */
+    var builds = [];
+    /** Directory plugins are loaded from */
+    var projectDir = process.cwd();
     if (fs.lstatSync(args.source).isDirectory()) {
+        projectDir = path.resolve(args.source);
         var pkgPath = path.resolve(args.source, "package.json");
         var pkgCfg = require(pkgPath);
         if (!pkgCfg) {
@@ -42,49 +78,396 @@ function cli() {
             return 1;
         }
 
-        entryFile = pkgCfg.onelua.main;
-        if (!entryFile) {
-            console.log(`Error: no main file was specified in package.json)`);
+        builds = getBuilds(pkgCfg.onelua);
+        if (args.build) {
+            let names = builds.map((build) => build.name);
+            builds = builds.filter((build) => build.name == args.build);
+            if (!builds.length) {
+                console.log(`Error: no build named "${args.build}" in package.json (builds: ${names.join(", ")})`);
+                return 1;
+            }
+        }
+        if (args.output && builds.length > 1) {
+            console.log(`Error: --output can only be used with a single build, pick one with --build`);
             return 1;
         }
 
-        if (!outputFile) {
-            outputFile = pkgCfg.onelua.output;
-            if (!outputFile) {
-                console.log(`Error: no output file was specified in package.json)`);
+        for (const build of builds) {
+            let which = build.name != null ? ` for build "${build.name}"` : "";
+            build.entryFile = build.config.main;
+            if (!build.entryFile) {
+                console.log(`Error: no main file was specified in package.json${which}`);
+                return 1;
+            }
+
+            build.outputFile = args.output || build.config.output;
+            if (!build.outputFile) {
+                console.log(`Error: no output file was specified in package.json${which}`);
                 return 1;
             }
         }
 
     } else {
-        entryFile = args.source;
+        builds = [{ name: null, entryFile: args.source, outputFile: args.output, config: {} }];
     }
 
-    var time_start = performance.now();
+    // modules shared by several builds are only parsed once
+    var parseCache = new Map();
+    var processors;
+    try {
+        processors = builds.map((build) => createProcessor(args, build, parseCache, projectDir));
+    } catch (err) {
+        printError(err);
+        return 1;
+    }
 
-    var output = onelua.process(entryFile, { debug: args.debug, minify: !args.no_minify });
+    var build = async () => {
+        for (const [index, processor] of processors.entries()) {
+            let { name, outputFile } = builds[index];
 
-    if (args.prepend_meta) {
-        let name = path.basename(outputFile);
-        let time = new Date().toUTCString();
-        output = `--[[\n    ${name}\n    Generated on ${time}\n]]--\n` + output;
+            var result = await processor.build();
+            result.warnings.forEach((warning) => console.log(`Warning: ${warning.message}`));
+            if (processor.checkGlobals)
+                printGlobals(result.globals);
+            if (result.externals.length)
+                console.log(`Externals expected at runtime: ${result.externals.join(", ")}`);
+
+            try {
+                fs.writeFileSync(outputFile, result.code);
+                if (result.map)
+                    fs.writeFileSync(outputFile + ".map", JSON.stringify(result.map));
+            } catch (err) {
+                console.error(`An error occurred while trying to write to ${outputFile}`)
+                if (err) console.error(err);
+                return 1;
+            }
+
+            if (args.graph) {
+                // one graph per build, e.g. graph.server.dot
+                let graphFile = args.graph;
+                if (builds.length > 1) {
+                    let extension = path.extname(graphFile);
+                    graphFile = graphFile.slice(0, graphFile.length - extension.length) + `.${name}${extension}`;
+                }
+                fs.writeFileSync(graphFile, graph.serialize(processor.graph, graphFile));
+                console.log(`> Wrote module graph to ${path.resolve(graphFile)}`);
+            }
+
+            var seconds_taken = (result.timing.total / 1000).toFixed(2);
+
+            let which = builds.length > 1 ? `Build "${name}"` : "Build";
+            console.log(`> Wrote file to ${path.resolve(outputFile)}\n${which} successful! (${seconds_taken}s)`)
+        }
+
+        return 0;
     }
 
-    try {
-        fs.writeFileSync(outputFile, output);
-    } catch (err) {
-        console.error(`An error occurred while trying to write to ${outputFile}`)
-        if (err) console.error(err);
-        return 1;
+    if (!args.watch) {
+        try {
+            return await build();
+        } catch (err) {
+            printError(err);
+            return 1;
+        }
     }
 
-    var time_end = performance.now();
-    var seconds_taken = ((time_end - time_start) / 1000).toFixed(2);
+    await watch(processors, build);
+    return 0;
+}
 
-    console.log(`> Wrote file to ${path.resolve(outputFile)}\nBuild successful! (${seconds_taken}s)`)
+/**
+ * Print the globals each module reads and writes
+ * @param {{file: string, name: string, write: boolean, line: number?}[]} globals
+ */
+function printGlobals(globals) {
+    /** file: name: lines */
+    var byFile = new Map();
+    for (const use of globals) {
+        if (!byFile.has(use.file)) byFile.set(use.file, new Map());
+        let names = byFile.get(use.file);
+        let key = use.write ? `${use.name} (written)` : use.name;
+        if (!names.has(key)) names.set(key, []);
+        names.get(key).push(use.line);
+    }
+    for (const [file, names] of byFile) {
+        let list = [...names].map(([name, lines]) => `${name}:${lines.join(",")}`);
+        console.log(`> Globals of ${path.relative(process.cwd(), file)}: ${list.join(" ")}`);
+    }
+}
+
+/**
+ * Print a build error, with the stack trace only for errors that aren't onelua's
+ * @param {*} err
+ */
+function printError(err) {
+    if (err instanceof onelua.OneluaError)
+        console.error(`Error: ${err.message}`);
+    else
+        console.error(err);
+}
 
+/**
+ * The builds in package.json: the `builds` array or map of build instructions, each inheriting
+ * the instructions outside of it, or the instructions themselves when there's no `builds`
+ * @param {{}} config - onelua build instructions in package.json
+ * @returns {{name: string?, config: {}}[]}
+ */
+function getBuilds(config) {
+    var { builds, ...shared } = config;
+    if (!builds)
+        return [{ name: null, config: shared }];
+
+    var entries = Array.isArray(builds)
+        ? builds.map((build, index) => [build.name != null ? String(build.name) : String(index), build])
+        : Object.entries(builds);
+    return entries.map(([name, build]) => ({ name: name, config: { ...shared, ...build } }));
+}
+
+/**
+ * @param {{}} args
+ * @param {{name: string?, entryFile: string, outputFile: string, config: {}}} build
+ * @param {Map} parseCache - Parsed scripts shared between the builds
+ * @param {string} projectDir - Directory plugins are loaded from
+ */
+function createProcessor(args, build, parseCache, projectDir) {
+    var config = build.config;
+    var plugins = loadPlugins(config.plugins, projectDir);
+
+    var banner = null;
+    if (args.prepend_meta || config.prependMeta) {
+        banner = () => {
+            let name = path.basename(build.outputFile);
+            let time = new Date().toUTCString();
+            return `--[[\n    ${name}\n    Generated on ${time}\n]]--\n`;
+        };
+    }
+
+    return onelua.createProcessor(build.entryFile, {
+        debug: args.debug,
+        minify: !args.no_minify && config.minify !== false,
+        target: args.target || config.target,
+        comments: args.comments || config.comments,
+        format: formatOptions(args, config),
+        debugBundle: args.debug_bundle,
+        dynamicRequire: args.dynamic_require || config.dynamicRequire,
+        circular: args.circular || config.circular,
+        preload: args.preload || config.preload,
+        include: [...(config.include || []), ...(args.include || [])],
+        loaders: config.loaders,
+        duplicates: config.duplicates,
+        alias: config.alias,
+        path: args.lua_path || config.path,
+        externals: [...(config.externals || []), ...(args.external || [])],
+        plugins: plugins,
+        checkGlobals: args.globals_version || config.checkGlobals || args.check_globals,
+        globals: [...(config.globals || []), ...(args.allow_global || [])],
+        define: { ...config.define, ...Object.fromEntries((args.define || []).map(parseDefine)) },
+        banner: banner,
+        sourceMap: args.source_map ? build.outputFile + ".map" : null,
+        parseCache: parseCache,
+        cache: !args.no_cache && config.cache !== false
+    });
+}
+
+/**
+ * `onelua fmt`: format Lua source files in place
+ * @param {string[]} argv
+ * @returns {number} Exit code
+ */
+function format(argv) {
+    const parser = new ArgumentParser({
+        prog: 'onelua fmt',
+        description: 'Format Lua source files in place',
+        add_help: true
+    });
+    parser.add_argument('paths', { help: "Files, directories or globs to format (default: the .lua files of the project in the current directory)", nargs: '*' });
+    parser.add_argument('--check', { help: "Don't write anything, list the files that aren't formatted and fail if there are any", action: 'store_true' });
+    parser.add_argument('-t', '--target', { help: "Lua version to parse the files as: 5.1 (default), 5.2, 5.3, 5.4 or LuaJIT" });
+    addFormatArguments(parser);
+
+    const args = parser.parse_args(argv);
+
+    /** onelua build instructions in package.json, if any */
+    var config = {};
+    if (fs.existsSync("package.json")) {
+        config = JSON.parse(fs.readFileSync("package.json", 'utf-8')).onelua || {};
+    }
+
+    var files = new Set();
+    var patterns = args.paths.length ? args.paths : ["."];
+    for (const pattern of patterns) {
+        if (glob.isGlob(pattern)) {
+            glob.find(pattern.split(path.sep).join('/'), process.cwd()).forEach((file) => files.add(path.resolve(file)));
+        } else if (!fs.existsSync(pattern)) {
+            console.log(`Error: ${pattern} not found`);
+            return 1;
+        } else if (fs.lstatSync(pattern).isDirectory()) {
+            glob.find("**/*.lua", pattern).forEach((file) => files.add(path.resolve(pattern, file)));
+        } else {
+            files.add(path.resolve(pattern));
+        }
+    }
+    // don't format the bundle when formatting the whole project
+    if (!args.paths.length && config.output)
+        files.delete(path.resolve(config.output));
+
+    var options = { target: args.target || config.target, ...formatOptions(args, config) };
+    var unformatted = [];
+    var failed = 0;
+    for (const file of files) {
+        let relative = path.relative(process.cwd(), file);
+        let code = fs.readFileSync(file, 'latin1');
+        let output;
+        try {
+            output = fmt.format(code, options);
+        } catch (err) {
+            console.log(`Error: ${relative}: ${err.message || err}, left untouched`);
+            failed++;
+            continue;
+        }
+        if (output == code) continue;
+
+        unformatted.push(relative);
+        if (args.check) {
+            console.log(relative);
+        } else {
+            fs.writeFileSync(file, output, 'latin1');
+        }
+    }
+
+    if (args.check) {
+        if (unformatted.length)
+            console.log(`> ${unformatted.length} of ${files.size} files aren't formatted`);
+        else
+            console.log(`> All ${files.size} files are formatted`);
+        return unformatted.length || failed ? 1 : 0;
+    }
+    console.log(`> Formatted ${unformatted.length} of ${files.size} files`);
+    return failed ? 1 : 0;
+}
+
+/**
+ * `onelua cache clean`: delete the cache of parsed scripts
+ * @param {string[]} argv
+ * @returns {number} Exit code
+ */
+function cacheCommand(argv) {
+    const parser = new ArgumentParser({
+        prog: 'onelua cache',
+        description: 'Manage the cache of parsed scripts',
+        add_help: true
+    });
+    parser.add_argument('action', { help: "clean: delete the cache", choices: ['clean'] });
+    parser.add_argument('project', { help: "Path to the Lua project (default: the current directory)", nargs: '?', default: '.' });
+
+    const args = parser.parse_args(argv);
+
+    var dir = path.resolve(args.project, cache.DEFAULT_CACHE_DIR);
+    if (cache.clean(dir))
+        console.log(`> Deleted ${dir}`);
+    else
+        console.log(`> No cache to delete in ${dir}`);
     return 0;
 }
 
-if (cli() != 0)
-    process.exit(1);
+/**
+ * @param {ArgumentParser} parser
+ */
+function addFormatArguments(parser) {
+    parser.add_argument('--indent', { help: "Spaces per indentation level of non-minified output (default: 4)", type: 'int' });
+    parser.add_argument('--use-tabs', { help: "Indent non-minified output with tabs", action: 'store_true' });
+    parser.add_argument('--quote-style', { help: "Quotes of short strings in non-minified output", choices: ['preserve', 'double', 'single'] });
+    parser.add_argument('--max-line-width', { help: "Wrap argument lists and table constructors of non-minified output longer than this", type: 'int' });
+    parser.add_argument('--trailing-comma', { help: "Add a comma after the last field of split table constructors in non-minified output", action: 'store_true' });
+}
+
+/**
+ * Formatting options of non-minified output, from the CLI or `format` in package.json
+ * @param {{}} args
+ * @param {{}} config - onelua build instructions in package.json
+ * @returns {{}} Options for luaprint
+ */
+function formatOptions(args, config) {
+    var format = { ...config.format };
+    if (args.indent != null) format.indentSize = args.indent;
+    if (args.use_tabs) format.useTabs = true;
+    if (args.quote_style) format.quoteStyle = args.quote_style;
+    if (args.max_line_width != null) format.maxLineWidth = args.max_line_width;
+    if (args.trailing_comma) format.trailingComma = true;
+    return format;
+}
+
+/**
+ * Rebuild whenever a script in the module graph of any build changes, until the process is interrupted
+ * @param {*[]} processors
+ * @param {() => Promise<number>} build
+ */
+async function watch(processors, build) {
+    /** path: listener */
+    var watching = new Map();
+    var timer = null;
+
+    var rebuild = async () => {
+        timer = null;
+        var time_start = performance.now();
+        var failed = false;
+        try {
+            await build();
+            let parsed = 0, reused = 0;
+            processors.forEach((processor) => {
+                parsed += processor.stats.parsed;
+                reused += processor.stats.reused;
+            });
+            console.log(`> Re-parsed ${parsed} of ${parsed + reused} scripts`);
+        } catch (err) {
+            var seconds_taken = ((performance.now() - time_start) / 1000).toFixed(2);
+            printError(err);
+            console.log(`Build failed! (${seconds_taken}s)`);
+            failed = true;
+        }
+        updateWatched(failed);
+    }
+
+    /**
+     * @param {boolean} failed - Also watch the scripts' directories, so that creating a missing module triggers a rebuild
+     */
+    var updateWatched = (failed) => {
+        var scripts = new Set(processors.flatMap((processor) => processor.files));
+        var files = new Set(scripts);
+        if (failed)
+            scripts.forEach((file) => files.add(path.dirname(file)));
+        for (const [file, listener] of watching) {
+            if (!files.has(file)) {
+                fs.unwatchFile(file, listener);
+                watching.delete(file);
+            }
+        }
+        for (const file of files) {
+            if (watching.has(file)) continue;
+            let listener = (curr, prev) => {
+                if (curr.mtimeMs == prev.mtimeMs) return;
+                // debounce bursts of writes, e.g. from editors saving several files
+                if (timer) clearTimeout(timer);
+                timer = setTimeout(rebuild, 100);
+            };
+            fs.watchFile(file, { interval: 250 }, listener);
+            watching.set(file, listener);
+        }
+        console.log(`> Watching ${scripts.size} files for changes...`);
+    }
+
+    var failed = false;
+    try {
+        await build();
+    } catch (err) {
+        printError(err);
+        console.log(`Build failed!`);
+        failed = true;
+    }
+    updateWatched(failed);
+}
+
+cli().then((code) => {
+    if (code != 0)
+        process.exit(1);
+});
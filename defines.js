@@ -0,0 +1,217 @@
+/*
+ * defines.js
+ *
+ * Compile-time defines: global identifiers replaced by literals in every module,
+ * then the branches whose conditions became constant are removed.
+ */
+
+const { OneluaError, ErrorCodes } = require("./errors");
+const { quote } = require("./loaders");
+
+/**
+ * Parse a `NAME=value` define from the command line. The value is a JSON literal
+ * (`false`, `42`, `"1.4.2"`), `nil`, or else taken as a string, e.g. `VERSION=1.4.2`.
+ * @param {string} text
+ * @returns {[string, *]} The name and value
+ * @throws {OneluaError} If it isn't `NAME=value`
+ */
+function parseDefine(text) {
+    var match = /^([A-Za-z_][A-Za-z0-9_]*)=(.*)$/s.exec(text);
+    if (!match)
+        throw new OneluaError(ErrorCodes.INVALID_OPTION, `Invalid define: "${text}", expected NAME=value`);
+    var value = match[2];
+    if (value == 'nil') return [match[1], null];
+    try {
+        return [match[1], JSON.parse(value)];
+    } catch (e) {
+        return [match[1], value];
+    }
+}
+
+/**
+ * @param {string} name
+ * @param {*} value - A define's value: null (nil), a boolean, a number or a string
+ * @returns {{}} The literal node of the value
+ * @throws {OneluaError} If the value can't be a Lua literal
+ */
+function createLiteral(name, value) {
+    if (value === null)
+        return { type: 'NilLiteral', value: null, raw: 'nil' };
+    if (typeof value == 'boolean')
+        return { type: 'BooleanLiteral', value: value, raw: String(value) };
+    if (typeof value == 'number' && isFinite(value))
+        return { type: 'NumericLiteral', value: value, raw: String(value) };
+    if (typeof value == 'string') {
+        // as parsed with the x-user-defined encoding, one character per byte
+        var bytes = Buffer.from(value, 'utf-8').toString('latin1');
+        return { type: 'StringLiteral', value: bytes, raw: quote(bytes) };
+    }
+    throw new OneluaError(ErrorCodes.INVALID_OPTION, `Invalid define: ${name} must be nil, a boolean, a number or a string`);
+}
+
+var LITERAL_TYPES = ['NilLiteral', 'BooleanLiteral', 'NumericLiteral', 'StringLiteral'];
+var MULTIPLE_VALUE_TYPES = ['CallExpression', 'StringCallExpression', 'TableCallExpression', 'VarargLiteral'];
+
+/**
+ * @param {{}} node
+ * @returns {boolean?} The truthiness of a constant expression, null if it isn't constant
+ */
+function truthiness(node) {
+    if (LITERAL_TYPES.indexOf(node.type) < 0) return null;
+    return !(node.type == 'NilLiteral' || (node.type == 'BooleanLiteral' && !node.value));
+}
+
+/**
+ * Fold the constant expressions that conditions are made of
+ * @param {{}} node
+ * @returns {{}} The folded node
+ */
+function fold(node) {
+    var truth;
+    if (node.type == 'UnaryExpression' && node.operator == 'not') {
+        truth = truthiness(node.argument);
+        if (truth != null) return { type: 'BooleanLiteral', value: !truth, raw: String(!truth), loc: node.loc, range: node.range };
+    } else if (node.type == 'LogicalExpression') {
+        truth = truthiness(node.left);
+        if (truth != null) {
+            // `a and b` is a if a is falsy, else b; `a or b` is a if a is truthy, else b
+            var keepLeft = node.operator == 'and' ? !truth : truth;
+            var kept = keepLeft ? node.left : node.right;
+            // calls and `...` would no longer be truncated to one value
+            if (MULTIPLE_VALUE_TYPES.indexOf(kept.type) < 0 || kept.inParens) return kept;
+        }
+    } else if (node.type == 'BinaryExpression' && (node.operator == '==' || node.operator == '~=') &&
+        LITERAL_TYPES.indexOf(node.left.type) >= 0 && LITERAL_TYPES.indexOf(node.right.type) >= 0) {
+        var equal = node.left.type == node.right.type && node.left.value === node.right.value;
+        var value = node.operator == '==' ? equal : !equal;
+        return { type: 'BooleanLiteral', value: value, raw: String(value), loc: node.loc, range: node.range };
+    }
+    return node;
+}
+
+/**
+ * Remove the branches of a statement whose conditions are constant
+ * @param {{}} statement
+ * @param {[number, number][]} removed - Ranges of the removed code
+ * @returns {{}?} The statement to keep in its place, if any
+ */
+function eliminate(statement, removed) {
+    if (statement.type == 'IfStatement') {
+        var clauses = [];
+        for (var index = 0; index < statement.clauses.length; index++) {
+            var clause = statement.clauses[index];
+            var truth = clause.type == 'ElseClause' ? true : truthiness(clause.condition);
+            if (truth === false) {
+                if (clause.range) removed.push(clause.range);
+                continue;
+            }
+            if (truth === true) {
+                // always taken: the clauses after it are never reached
+                if (clauses.length)
+                    clauses.push({ type: 'ElseClause', body: clause.body, loc: clause.loc, range: clause.range });
+                statement.clauses.slice(index + 1).forEach(function(skipped) {
+                    if (skipped.range) removed.push(skipped.range);
+                });
+                if (!clauses.length) {
+                    // `do ... end` keeps the locals of the branch scoped to it
+                    return { type: 'DoStatement', body: clause.body, loc: statement.loc, range: statement.range };
+                }
+                break;
+            }
+            // the first clause left is the `if`
+            clauses.push(clauses.length || clause.type == 'IfClause' ? clause : { ...clause, type: 'IfClause' });
+        }
+        if (!clauses.length)
+            return null;
+        statement.clauses = clauses;
+        return statement;
+    }
+    if (statement.type == 'WhileStatement' && truthiness(statement.condition) === false) {
+        if (statement.range) removed.push(statement.range);
+        return null;
+    }
+    return statement;
+}
+
+/**
+ * Replace the defined global identifiers of a module by literals, and remove the branches that became dead
+ * @param {{}} ast - Chunk parsed with `scope`, so that globals are told apart from locals
+ * @param {Object<string, *>} defines - name: value
+ * @param {string} [file] - Path of the module, for errors
+ * @returns {{}} The AST
+ * @throws {OneluaError} If a defined global is assigned
+ */
+function applyDefines(ast, defines, file) {
+    var names = Object.keys(defines);
+    if (!names.length) return ast;
+    var removed = [];
+    var isDefined = function(node) {
+        return node.type == 'Identifier' && node.isLocal === false && names.indexOf(node.name) >= 0;
+    };
+
+    // globals whose fields are assigned, e.g. `CONFIG.debug = true` or `function CONFIG.f() end`, are left as they are
+    var kept = new Set();
+    var assign = function(target) {
+        if (isDefined(target)) {
+            var start = target.loc && target.loc.start;
+            throw new OneluaError(ErrorCodes.INVALID_OPTION,
+                `Invalid define: ${target.name} is assigned in ${file}:${start ? start.line : '?'}, while its reads are replaced by its value`,
+                { file: file || null, line: start ? start.line : null, column: start ? start.column + 1 : null });
+        }
+        while (target.type == 'MemberExpression' || target.type == 'IndexExpression') target = target.base;
+        if (isDefined(target)) kept.add(target);
+    };
+
+    var visit = function(node, key) {
+        if (Array.isArray(node)) {
+            var result = [];
+            node.forEach(function(item) {
+                var visited = visit(item, key);
+                if (visited) result.push(visited);
+            });
+            return result;
+        }
+        if (!node || typeof node != 'object' || !node.type) return node;
+
+        if (node.type == 'Identifier') {
+            // only globals that are read, not assigned or declared
+            if (!isDefined(node) || key == 'variables' || key == 'identifier' || kept.has(node)) return node;
+            var literal = Object.assign(createLiteral(node.name, defines[node.name]), { loc: node.loc, range: node.range });
+            if (key == 'base') {
+                // only strings can be indexed or called, as `("1.4.2"):match(...)`, indexing anything else fails all the same
+                if (literal.type != 'StringLiteral') return node;
+                literal.inParens = true;
+            }
+            return literal;
+        }
+
+        if (node.type == 'AssignmentStatement') node.variables.forEach(assign);
+        if (node.type == 'FunctionDeclaration' && !node.isLocal && node.identifier) assign(node.identifier);
+
+        Object.keys(node).forEach(function(child) {
+            if (child == 'loc' || child == 'range') return;
+            node[child] = visit(node[child], child);
+        });
+
+        node = fold(node);
+        if (key == 'body')
+            node = eliminate(node, removed);
+        return node;
+    };
+    ast.body = visit(ast.body, 'body');
+
+    // the comments of removed code go with it
+    if (ast.comments) {
+        ast.comments = ast.comments.filter(function(comment) {
+            return !comment.range || !removed.some(function(range) {
+                return comment.range[0] >= range[0] && comment.range[1] <= range[1];
+            });
+        });
+    }
+    return ast;
+}
+
+module.exports = {
+    parseDefine: parseDefine,
+    applyDefines: applyDefines,
+};
@@ -0,0 +1,47 @@
+/*
+ * errors.js
+ *
+ * Errors thrown by onelua, telling what went wrong with a code and where with a file, line and column.
+ */
+
+/**
+ * Error codes, by what went wrong
+ */
+const ErrorCodes = {
+    INVALID_OPTION: "INVALID_OPTION",
+    ENTRY_NOT_FOUND: "ENTRY_NOT_FOUND",
+    SYNTAX_ERROR: "SYNTAX_ERROR",
+    MODULE_NOT_FOUND: "MODULE_NOT_FOUND",
+    INVALID_REQUIRE: "INVALID_REQUIRE",
+    INVALID_EXPORT: "INVALID_EXPORT",
+    CIRCULAR_DEPENDENCY: "CIRCULAR_DEPENDENCY",
+    DUPLICATE_PACKAGE: "DUPLICATE_PACKAGE",
+    UNSUPPORTED_OPERATOR: "UNSUPPORTED_OPERATOR",
+    FORMAT_CHANGED: "FORMAT_CHANGED",
+    PLUGIN_ERROR: "PLUGIN_ERROR",
+    UNDECLARED_GLOBAL: "UNDECLARED_GLOBAL",
+};
+
+class OneluaError extends Error {
+    /**
+     * @param {string} code - One of ErrorCodes
+     * @param {string} message
+     * @param {{file: string?, line: number?, column: number?}} [location] - Where in the Lua sources the error is, if anywhere
+     */
+    constructor(code, message, location) {
+        super(message);
+        this.name = "OneluaError";
+        this.code = code;
+        /** Path of the script the error is in */
+        this.file = location?.file ?? null;
+        /** 1-based line */
+        this.line = location?.line ?? null;
+        /** 1-based column */
+        this.column = location?.column ?? null;
+    }
+}
+
+module.exports = {
+    ErrorCodes,
+    OneluaError,
+};
@@ -0,0 +1,102 @@
+/*
+ * fmt.js
+ *
+ * Format Lua source code with luaprint, refusing any output that doesn't parse back to the same program.
+ */
+
+const luaparse = require("luaparse");
+const luaprint = require("./luaprint");
+const { getTarget } = require("./targets");
+const { markParentheses } = require("./parens");
+const attributes = require("./attributes");
+const { OneluaError, ErrorCodes } = require("./errors");
+
+/** Keys that don't affect what the code does */
+var IGNORED_KEYS = ['loc', 'range', 'raw', 'comments', 'globals', 'inParens'];
+
+/** Node types where parentheses change the result, by truncating multiple values to one */
+var TRUNCATED_TYPES = ['CallExpression', 'TableCallExpression', 'StringCallExpression', 'VarargLiteral'];
+
+/**
+ * @param {string} code
+ * @param {{luaVersion: string}} target - See targets.js
+ * @returns {{}} AST with parentheses marked and the comments kept
+ */
+function parse(code, target) {
+    var parseOptions = {
+        luaVersion: target.luaVersion,
+        encodingMode: 'x-user-defined',
+        comments: true,
+        ranges: true
+    };
+    var parsed = attributes.parse(luaparse, code, parseOptions, target);
+    markParentheses(luaparse, parsed.source, parsed.ast, parseOptions);
+    return parsed.ast;
+}
+
+/**
+ * Compare two ASTs, ignoring positions, the way literals are written and parentheses that don't matter
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function isEquivalent(a, b) {
+    if (Array.isArray(a)) {
+        if (!Array.isArray(b) || a.length != b.length) return false;
+        return a.every(function(item, index) {
+            return isEquivalent(item, b[index]);
+        });
+    }
+    if (!a || !b || typeof a != 'object' || typeof b != 'object')
+        return a === b;
+    if (a.type != b.type)
+        return false;
+    if (TRUNCATED_TYPES.indexOf(a.type) >= 0 && !a.inParens != !b.inParens)
+        return false;
+
+    var keys = Object.keys(a).filter(function(key) {
+        return IGNORED_KEYS.indexOf(key) < 0;
+    });
+    return keys.every(function(key) {
+        return isEquivalent(a[key], b[key]);
+    });
+}
+
+/**
+ * Format Lua source code
+ * @param {string} code
+ * @param {{}} [options] - luaprint options
+ * @returns {string} The formatted code
+ * @throws If the formatted code isn't equivalent to the original, or drops any of its comments
+ */
+function format(code, options) {
+    options = Object.assign({}, options, { comments: 'all' });
+    var target = getTarget(options.target);
+
+    var original = parse(code, target);
+    var output = luaprint(code, options);
+    // the parser skips a shebang line, which is kept as it is
+    var shebang = /^#!.*/.exec(code);
+    if (shebang)
+        output = shebang[0].replace(/\r$/, '') + '\n' + output;
+
+    var formatted;
+    try {
+        formatted = parse(output, target);
+    } catch (e) {
+        throw new OneluaError(ErrorCodes.FORMAT_CHANGED, `Formatted code doesn't parse: ${e.message}`, { line: e.line, column: e.column + 1 });
+    }
+    if (!isEquivalent(original.body, formatted.body))
+        throw new OneluaError(ErrorCodes.FORMAT_CHANGED, `Formatted code isn't equivalent to the original`);
+
+    var rawComments = (ast) => ast.comments.map((comment) => comment.raw).join('\n');
+    if (rawComments(original) != rawComments(formatted))
+        throw new OneluaError(ErrorCodes.FORMAT_CHANGED, `Formatted code doesn't keep every comment`);
+
+    return output;
+}
+
+module.exports = {
+    format: format,
+    isEquivalent: isEquivalent,
+};
@@ -0,0 +1,97 @@
+/*
+ * glob.js
+ *
+ * Minimal glob matching: `*` matches within a path segment, `**` across segments and `?` a single character.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * @param {string} pattern
+ * @returns {boolean} Whether the pattern has any wildcards
+ */
+function isGlob(pattern) {
+    return /[*?]/.test(pattern);
+}
+
+/**
+ * Convert a glob pattern to a regular expression matching the whole string
+ * @param {string} pattern
+ * @param {string} [separator] - The character `*` doesn't match, `/` by default
+ * @returns {RegExp}
+ */
+function toRegExp(pattern, separator) {
+    separator = separator || '/';
+    var escapedSeparator = separator.replace(/[\\^$.*+?()[\]{}|\/-]/g, '\\$&');
+    var source = '';
+    for (var index = 0; index < pattern.length; index++) {
+        var char = pattern[index];
+        if (char == '*') {
+            if (pattern[index + 1] == '*') {
+                index++;
+                if (pattern[index + 1] == separator) {
+                    // `**/` also matches no segment at all
+                    index++;
+                    source += '(?:.*' + escapedSeparator + ')?';
+                } else {
+                    source += '.*';
+                }
+            } else {
+                source += '[^' + escapedSeparator + ']*';
+            }
+        } else if (char == '?') {
+            source += '[^' + escapedSeparator + ']';
+        } else {
+            source += char.replace(/[\\^$.*+?()[\]{}|\/-]/g, '\\$&');
+        }
+    }
+    return new RegExp('^' + source + '$');
+}
+
+/**
+ * Find the files matching a glob pattern
+ * @param {string} pattern - Pattern relative to `cwd`, using `/` as separator
+ * @param {string} cwd
+ * @returns {string[]} Matching paths relative to `cwd`, using `/` as separator
+ */
+function find(pattern, cwd) {
+    var regex = toRegExp(pattern);
+    var segments = pattern.split('/');
+
+    // only walk from the part of the pattern without wildcards
+    var base = [];
+    while (segments.length > 1 && !isGlob(segments[0])) {
+        base.push(segments.shift());
+    }
+    var walkNodeModules = pattern.indexOf('node_modules') >= 0;
+
+    var results = [];
+    var walk = function(relative) {
+        var entries;
+        try {
+            entries = fs.readdirSync(path.join(cwd, relative), { withFileTypes: true });
+        } catch (e) {
+            return;  // not a directory
+        }
+        entries.forEach(function(entry) {
+            var entryPath = relative ? relative + '/' + entry.name : entry.name;
+            if (entry.isDirectory()) {
+                if (entry.name == 'node_modules' && !walkNodeModules) return;
+                if (entry.name.charAt(0) == '.') return;  // e.g. .git
+                walk(entryPath);
+            } else if (regex.test(entryPath)) {
+                results.push(entryPath);
+            }
+        });
+    };
+    walk(base.join('/'));
+
+    return results.sort();
+}
+
+module.exports = {
+    isGlob: isGlob,
+    toRegExp: toRegExp,
+    find: find,
+};
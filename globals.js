@@ -0,0 +1,79 @@
+/*
+ * globals.js
+ *
+ * Find the global variables each module reads and writes, to check them against the globals of the environment.
+ */
+
+const { getTarget } = require("./targets");
+
+const LUA51 = [
+    "_G", "_VERSION", "assert", "collectgarbage", "dofile", "error", "getfenv", "getmetatable", "ipairs",
+    "load", "loadfile", "loadstring", "module", "next", "pairs", "pcall", "print", "rawequal", "rawget",
+    "rawset", "require", "select", "setfenv", "setmetatable", "tonumber", "tostring", "type", "unpack",
+    "xpcall", "coroutine", "debug", "io", "math", "os", "package", "string", "table"
+];
+
+const LUA52 = [
+    "_ENV", "_G", "_VERSION", "assert", "collectgarbage", "dofile", "error", "getmetatable", "ipairs",
+    "load", "loadfile", "next", "pairs", "pcall", "print", "rawequal", "rawget", "rawlen", "rawset",
+    "require", "select", "setmetatable", "tonumber", "tostring", "type", "xpcall",
+    "bit32", "coroutine", "debug", "io", "math", "os", "package", "string", "table"
+];
+
+const LUA53 = LUA52.filter((name) => name != "bit32").concat(["utf8"]);
+
+/** Globals of the standard library, by target */
+const PRESETS = {
+    "5.1": LUA51,
+    "5.2": LUA52,
+    "5.3": LUA53,
+    "5.4": LUA53.concat(["warn"]),
+    "luajit": LUA51.concat(["bit", "jit"]),
+};
+
+/**
+ * @param {string} preset - A target, e.g. "5.1" or "LuaJIT"
+ * @returns {string[]} The globals of its standard library
+ */
+function getPreset(preset) {
+    return PRESETS[getTarget(preset).id];
+}
+
+/**
+ * Find the globals a module reads and writes
+ * @param {{}} ast - Chunk parsed with `scope`, so that globals are told apart from locals
+ * @returns {{name: string, write: boolean, line: number?, column: number?}[]} Every use, in the order they appear
+ */
+function collectGlobals(ast) {
+    var uses = [];
+    var visit = (node, key) => {
+        if (Array.isArray(node)) {
+            node.forEach((item) => visit(item, key));
+            return;
+        }
+        if (!node || typeof node != "object" || !node.type) return;
+
+        // isLocal is only set on variables, not on field names
+        if (node.type == "Identifier" && node.isLocal === false) {
+            uses.push({
+                name: node.name,
+                // `x = ...` and `function x() end`
+                write: key == "variables" || key == "identifier",
+                line: node.loc ? node.loc.start.line : null,
+                column: node.loc ? node.loc.start.column + 1 : null
+            });
+            return;
+        }
+        Object.keys(node).forEach((child) => {
+            if (child != "loc" && child != "range") visit(node[child], child);
+        });
+    };
+    visit(ast.body, "body");
+    return uses;
+}
+
+module.exports = {
+    PRESETS: PRESETS,
+    getPreset: getPreset,
+    collectGlobals: collectGlobals,
+};
@@ -0,0 +1,61 @@
+/*
+ * graph.js
+ *
+ * Export the module graph of a build, as JSON or as Graphviz DOT.
+ * Nodes are the bundled scripts, edges the require() calls between them.
+ */
+
+const path = require("path");
+
+/**
+ * @typedef {{id: number, path: string, package: string?, version: string?}} GraphNode
+ * @typedef {{from: number, to: number, require: string, line: number?}} GraphEdge
+ * @typedef {{nodes: GraphNode[], edges: GraphEdge[]}} ModuleGraph
+ */
+
+/**
+ * @param {ModuleGraph} graph
+ * @returns {string}
+ */
+function toJSON(graph) {
+    return JSON.stringify(graph, null, 2) + '\n';
+}
+
+/**
+ * @param {ModuleGraph} graph
+ * @returns {string}
+ */
+function toDot(graph) {
+    var quote = JSON.stringify;
+    var lines = ['digraph modules {', '    node [shape=box];'];
+    graph.nodes.forEach(function(node) {
+        var label = `[${node.id}] ${node.path}`;
+        if (node.package)
+            label += `\n${node.package}${node.version ? '@' + node.version : ''}`;
+        lines.push(`    ${node.id} [label=${quote(label)}];`);
+    });
+    graph.edges.forEach(function(edge) {
+        var label = edge.line != null ? `${edge.require}:${edge.line}` : edge.require;
+        lines.push(`    ${edge.from} -> ${edge.to} [label=${quote(label)}];`);
+    });
+    lines.push('}');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Serialize the graph in the format matching the extension of the file it's written to:
+ * DOT for `.dot` and `.gv`, JSON otherwise
+ * @param {ModuleGraph} graph
+ * @param {string} file
+ * @returns {string}
+ */
+function serialize(graph, file) {
+    var extension = path.extname(file).toLowerCase();
+    return extension == '.dot' || extension == '.gv' ? toDot(graph) : toJSON(graph);
+}
+
+module.exports = {
+    toJSON: toJSON,
+    toDot: toDot,
+    serialize: serialize,
+};
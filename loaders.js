@@ -0,0 +1,158 @@
+/*
+ * loaders.js
+ *
+ * Loaders turn the files of other types that are required into the source of a Lua module returning their contents.
+ * They are picked by the extension of the required name, e.g. `require("data.maps.json")` loads `data/maps.json`.
+ */
+
+const { OneluaError, ErrorCodes } = require("./errors");
+
+/** Lua keywords, which can't be used as table keys without brackets */
+const KEYWORDS = [
+    "and", "break", "do", "else", "elseif", "end", "false", "for", "function", "goto", "if", "in",
+    "local", "nil", "not", "or", "repeat", "return", "then", "true", "until", "while"
+];
+
+/** extension: loader, used unless package.json configures them otherwise */
+const DEFAULT_LOADERS = {
+    ".json": "json",
+    ".txt": "text",
+    ".lua.tmpl": "text",
+};
+
+/**
+ * Quote a string as a Lua string literal, escaping anything that isn't printable ASCII
+ * @param {string} string - Characters above 255 are expected to be already encoded as UTF-8 bytes
+ * @returns {string}
+ */
+function quote(string) {
+    var result = '"';
+    for (var index = 0; index < string.length; index++) {
+        var char = string[index];
+        var code = string.charCodeAt(index);
+        if (char == '"' || char == '\\') {
+            result += '\\' + char;
+        } else if (char == '\n') {
+            result += '\\n';
+        } else if (code < 32 || code > 126) {
+            // always 3 digits, so that a following digit isn't taken as part of the escape
+            result += '\\' + String(code).padStart(3, '0');
+        } else {
+            result += char;
+        }
+    }
+    return result + '"';
+}
+
+/**
+ * Convert a value parsed from JSON to a Lua expression
+ * @param {*} value
+ * @param {string} indent
+ * @returns {string}
+ */
+function toLua(value, indent) {
+    if (value === null) return 'nil';
+    if (typeof value == 'number' && !isFinite(value)) return value > 0 ? 'math.huge' : '-math.huge';  // e.g. 1e999
+    if (typeof value == 'boolean' || typeof value == 'number') return String(value);
+    if (typeof value == 'string') return quote(Buffer.from(value, 'utf-8').toString('latin1'));
+
+    var inner = indent + '    ';
+    var fields;
+    if (Array.isArray(value)) {
+        fields = value.map(function(item) {
+            return toLua(item, inner);
+        });
+    } else {
+        fields = Object.keys(value).map(function(key) {
+            var isName = /^[A-Za-z_][A-Za-z0-9_]*$/.test(key) && KEYWORDS.indexOf(key) < 0;
+            var luaKey = isName ? key : '[' + quote(Buffer.from(key, 'utf-8').toString('latin1')) + ']';
+            return luaKey + ' = ' + toLua(value[key], inner);
+        });
+    }
+    if (!fields.length) return '{}';
+    return '{\n' + fields.map(function(field) {
+        return inner + field;
+    }).join(',\n') + '\n' + indent + '}';
+}
+
+/**
+ * name: function turning the contents of a file into the source of a Lua module
+ * @type {Object<string, (contents: Buffer, file: string) => string>}
+ */
+const LOADERS = {
+    /** A table constructor of the JSON value */
+    json: function(contents, file) {
+        var value;
+        try {
+            value = JSON.parse(contents.toString('utf-8'));
+        } catch (e) {
+            throw new OneluaError(ErrorCodes.SYNTAX_ERROR, `Syntax error: ${e.message} in ${file}`, { file: file });
+        }
+        return 'return ' + toLua(value, '') + '\n';
+    },
+
+    /** The text as a long string */
+    text: function(contents) {
+        if (contents.indexOf('\r') >= 0)
+            return 'return ' + quote(contents.toString('latin1')) + '\n';  // long strings would turn line endings into \n
+
+        var text = contents.toString('utf-8');
+        // the shortest long bracket that doesn't appear in the text, nor with its end, e.g. for a text ending with `]`
+        var level = '';
+        while ((text + ']').indexOf(']' + level + ']') >= 0) level += '=';
+        // a newline right after the opening bracket is skipped
+        return 'return [' + level + '[\n' + text + ']' + level + ']\n';
+    },
+
+    /** The bytes as a string */
+    binary: function(contents) {
+        return 'return ' + quote(contents.toString('latin1')) + '\n';
+    },
+};
+
+/**
+ * Merge the loaders configured in package.json with the default ones
+ * @param {Object<string, string|false>} [config] - extension: loader name, or false to not load the extension
+ * @returns {Object<string, string>} extension: loader name
+ * @throws {OneluaError} If a loader doesn't exist
+ */
+function getLoaders(config) {
+    var loaders = { ...DEFAULT_LOADERS };
+    Object.keys(config || {}).forEach(function(extension) {
+        var name = config[extension];
+        var key = extension.charAt(0) == '.' ? extension : '.' + extension;
+        if (!name) {
+            delete loaders[key];
+            return;
+        }
+        if (!(name in LOADERS))
+            throw new OneluaError(ErrorCodes.INVALID_OPTION, `Invalid loader: "${name}" for ${key}, expected one of ${Object.keys(LOADERS).join(", ")}`);
+        loaders[key] = name;
+    });
+    return loaders;
+}
+
+/**
+ * Find the loader of a required module name
+ * @param {Object<string, string>} loaders - extension: loader name
+ * @param {string} module - e.g. "data.maps.json"
+ * @returns {{extension: string, name: string}?} The longest matching extension, or null for a Lua module
+ */
+function findLoader(loaders, module) {
+    var found = null;
+    Object.keys(loaders).forEach(function(extension) {
+        if (module.endsWith(extension) && module.length > extension.length &&
+            (!found || extension.length > found.extension.length)) {
+            found = { extension: extension, name: loaders[extension] };
+        }
+    });
+    return found;
+}
+
+module.exports = {
+    quote: quote,
+    LOADERS: LOADERS,
+    DEFAULT_LOADERS: DEFAULT_LOADERS,
+    getLoaders: getLoaders,
+    findLoader: findLoader,
+};
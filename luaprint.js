@@ -5,16 +5,24 @@
  */
 
 const luaparse = require("luaparse");
+const { getTarget } = require("./targets");
+const { markParentheses } = require("./parens");
+const attributes = require("./attributes");
 
+// http://www.lua.org/manual/5.3/manual.html#3.4.8
 var PRECEDENCE = {
     'or': 1,
     'and': 2,
     '<': 3, '>': 3, '<=': 3, '>=': 3, '~=': 3, '==': 3,
-    '..': 5,
-    '+': 6, '-': 6, // binary -
-    '*': 7, '/': 7, '%': 7,
-    'unarynot': 8, 'unary#': 8, 'unary-': 8, // unary -
-    '^': 10
+    '|': 4,
+    '~': 5, // binary ~
+    '&': 6,
+    '<<': 7, '>>': 7,
+    '..': 8,
+    '+': 9, '-': 9, // binary -
+    '*': 10, '/': 10, '//': 10, '%': 10,
+    'unarynot': 11, 'unary#': 11, 'unary-': 11, 'unary~': 11, // unary -, unary ~
+    '^': 12
 };
 
 var eachItem = function(array, fn) {
@@ -26,6 +34,42 @@ var eachItem = function(array, fn) {
     }
 };
 
+/**
+ * Switch the quotes of a short string literal, unless it would need more escapes
+ * @param {string} raw
+ * @param {string} quoteStyle - 'preserve', 'double' or 'single'
+ * @returns {string}
+ */
+var requote = function(raw, quoteStyle) {
+    var quote = quoteStyle == 'double' ? '"' : quoteStyle == 'single' ? "'" : null;
+    var current = raw.charAt(0);
+    if (!quote || current == quote || (current != '"' && current != "'")) {
+        return raw;  // long strings are left as is
+    }
+
+    var content = raw.slice(1, -1);
+    var result = '';
+    var added = 0;
+    for (var index = 0; index < content.length; index++) {
+        var char = content.charAt(index);
+        if (char == '\\') {
+            var next = content.charAt(++index);
+            if (next == current) {
+                result += next;  // no need to escape the previous quote anymore
+                added--;
+            } else {
+                result += char + next;
+            }
+        } else if (char == quote) {
+            result += '\\' + char;
+            added++;
+        } else {
+            result += char;
+        }
+    }
+    return added > 0 ? raw : quote + result + quote;
+};
+
 var joinStatements = function(a, b, separator) {
     separator || (separator = ' ');
 
@@ -38,271 +82,442 @@ var joinStatements = function(a, b, separator) {
     return a + separator + b;
 };
 
-var formatStatementList = function(body) {
-    var result = '';
-    eachItem(body, function(statement) {
-        result = joinStatements(result, formatStatement(statement), '\n' + INDENT.repeat(depth));
+
+/**
+ * Whether a comment must be kept even in minified output, i.e. `--[[! ... ]]`
+ * blocks and comments mentioning `@license` or `@preserve`
+ * @param {{}} comment
+ * @returns {boolean}
+ */
+function isImportantComment(comment) {
+    return /^--\[=*\[!/.test(comment.raw) || /@license|@preserve/.test(comment.value);
+}
+
+var isBlockOwner = function(node) {
+    return node && Array.isArray(node.body) && node.range;
+};
+
+var SKIPPED_KEYS = ['loc', 'range', 'globals', 'comments', 'leadingComments', 'trailingComments', 'innerComments'];
+
+/**
+ * Find the nodes owning a block within `node`, without descending into them
+ * @param {{}} node
+ * @param {{}[]} owners
+ */
+var collectBlockOwners = function(node, owners) {
+    Object.keys(node).forEach(function(key) {
+        if (SKIPPED_KEYS.indexOf(key) >= 0) return;
+        var children = Array.isArray(node[key]) ? node[key] : [node[key]];
+        children.forEach(function(child) {
+            if (!child || typeof child != 'object') return;
+            if (isBlockOwner(child)) {
+                owners.push(child);
+            } else {
+                collectBlockOwners(child, owners);
+            }
+        });
     });
-    return result;
 };
 
-var formatBase = function(base) {
-    var result = '';
-    var type = base.type;
-    var needsParens = base.inParens && (
-        type == 'CallExpression' ||
-        type == 'BinaryExpression' ||
-        type == 'FunctionDeclaration' ||
-        type == 'TableConstructorExpression' ||
-        type == 'LogicalExpression' ||
-        type == 'StringLiteral'
-    );
-    if (needsParens) {
-        result += '(';
+/**
+ * Attach the comments within a statement to the innermost block they're in.
+ * Those within the statement's expressions are moved before it.
+ * @param {{}} statement
+ * @param {{}[]} comments
+ */
+var attachInnerComments = function(statement, comments) {
+    var owners = [];
+    if (isBlockOwner(statement)) {
+        owners.push(statement);
+    } else {
+        collectBlockOwners(statement, owners);
     }
-    result += formatExpression(base);
-    if (needsParens) {
-        result += ')';
+
+    // the blocks of if/elseif/else clauses extend up to the next clause
+    var ranges = owners.map(function(owner) { return owner.range; });
+    if (statement.type == 'IfStatement') {
+        ranges = statement.clauses.map(function(clause, index) {
+            var next = statement.clauses[index + 1];
+            return [clause.range[0], next ? next.range[0] : statement.range[1]];
+        });
+    }
+
+    var leftover = [];
+    var grouped = owners.map(function() { return []; });
+    comments.forEach(function(comment) {
+        for (var index = 0; index < owners.length; index++) {
+            if (ranges[index][0] <= comment.range[0] && comment.range[1] <= ranges[index][1]) {
+                grouped[index].push(comment);
+                return;
+            }
+        }
+        leftover.push(comment);
+    });
+
+    owners.forEach(function(owner, index) {
+        if (grouped[index].length) attachBlockComments(owner, grouped[index]);
+    });
+    if (leftover.length) {
+        statement.leadingComments = (statement.leadingComments || []).concat(leftover);
     }
-    return result;
 };
 
-var depth = 0;
-var INDENT = "    ";
+/**
+ * @param {{}} owner - The node owning the block
+ * @param {{}[]} comments - The comments within the block, sorted
+ */
+var attachBlockComments = function(owner, comments) {
+    var index = 0;
+    var previous = null;
+    owner.body.forEach(function(statement) {
+        var leading = [];
+        var inner = [];
+        while (index < comments.length && comments[index].range[0] < statement.range[1]) {
+            var comment = comments[index++];
+            if (comment.range[0] >= statement.range[0]) {
+                inner.push(comment);
+            } else if (previous && previous.loc && comment.loc && !leading.length &&
+                comment.loc.start.line == previous.loc.end.line) {
+                // on the same line as the end of the previous statement
+                previous.trailingComments = (previous.trailingComments || []).concat(comment);
+            } else {
+                leading.push(comment);
+            }
+        }
+        if (leading.length) statement.leadingComments = leading;
+        if (inner.length) attachInnerComments(statement, inner);
+        previous = statement;
+    });
 
-var formatExpression = function(expression, options) {
+    var rest = comments.slice(index);
+    if (previous && previous.loc && rest.length && rest[0].loc &&
+        rest[0].loc.start.line == previous.loc.end.line) {
+        previous.trailingComments = (previous.trailingComments || []).concat(rest.shift());
+    }
+    if (rest.length) owner.innerComments = rest;
+};
 
-    options = {
-        'precedence': 0,
-        ...options
+/**
+ * Attach the comments of a chunk to the statements they precede (`leadingComments`), follow on
+ * the same line (`trailingComments`), or to the node owning the block they end (`innerComments`).
+ * The chunk must have been parsed with `comments`, `locations` and `ranges`.
+ * @param {{}} ast
+ */
+function attachComments(ast) {
+    var comments = (ast.comments || []).slice().sort(function(a, b) {
+        return a.range[0] - b.range[0];
+    });
+    attachBlockComments(ast, comments);
+}
+
+/**
+ * Create a formatter with its own state, so that an error mid-print doesn't leak into the next one
+ * @param {{}} style - Formatting options, see `luaprint`
+ * @returns {{formatStatementList: function}}
+ */
+function createFormatter(style) {
+    var depth = 0;
+    var INDENT = style.useTabs ? '\t' : ' '.repeat(style.indentSize);
+    /** Which comments to print: 'all', 'important' or 'none' */
+    var COMMENTS = style.comments;
+
+    /**
+     * Whether text starting at the current indentation fits within the max line width.
+     * The text preceding it on the line isn't known, so this is a best effort
+     * @param {string} text
+     * @returns {boolean}
+     */
+    var fitsLine = function(text) {
+        return !style.maxLineWidth || depth * style.indentSize + text.length <= style.maxLineWidth;
     };
 
-    var result = '';
-    var currentPrecedence;
-    var associativity;
-    var operator;
-
-    var expressionType = expression.type;
-
-    if (expressionType == 'Identifier') {
-
-        result = expression.name;
-
-    } else if (
-        expressionType == 'StringLiteral' ||
-        expressionType == 'NumericLiteral' ||
-        expressionType == 'BooleanLiteral' ||
-        expressionType == 'NilLiteral' ||
-        expressionType == 'VarargLiteral'
-    ) {
-
-        result = expression.raw;
-
-    } else if (
-        expressionType == 'LogicalExpression' ||
-        expressionType == 'BinaryExpression'
-    ) {
-
-        // If an expression with precedence x
-        // contains an expression with precedence < x,
-        // the inner expression must be wrapped in parens.
-        operator = expression.operator;
-        currentPrecedence = PRECEDENCE[operator];
-        associativity = 'left';
-
-        result = formatExpression(expression.left, {
-            'precedence': currentPrecedence,
-            'direction': 'left',
-            'parent': operator
+    var formatComments = function(result, comments, separator) {
+        eachItem(comments || [], function(comment) {
+            if (COMMENTS == 'all' || (COMMENTS == 'important' && isImportantComment(comment))) {
+                result = joinStatements(result, comment.raw, separator);
+            }
         });
-        result = joinStatements(result, operator);
-        result = joinStatements(result, formatExpression(expression.right, {
-            'precedence': currentPrecedence,
-            'direction': 'right',
-            'parent': operator
-        }));
-
-        if (operator == '^' || operator == '..') {
-            associativity = "right";
+        return result;
+    };
+
+    /**
+     * @param {{}[]} body
+     * @param {{}} [owner] - The node owning the block, holding the comments at its end
+     */
+    var formatStatementList = function(body, owner) {
+        var result = '';
+        eachItem(body, function(statement) {
+            result = formatComments(result, statement.leadingComments, '\n' + INDENT.repeat(depth));
+            result = joinStatements(result, formatStatement(statement), '\n' + INDENT.repeat(depth));
+            result = formatComments(result, statement.trailingComments, ' ');
+        });
+        if (owner) {
+            result = formatComments(result, owner.innerComments, '\n' + INDENT.repeat(depth));
         }
+        return result;
+    };
 
-        if (
-            currentPrecedence < options.precedence ||
-            (
-                currentPrecedence == options.precedence &&
-                associativity != options.direction &&
-                options.parent != '+' &&
-                !(options.parent == '*' && (operator == '/' || operator == '*'))
-            )
-        ) {
-            // The most simple case here is that of
-            // protecting the parentheses on the RHS of
-            // `1 - (2 - 3)` but deleting them from `(1 - 2) - 3`.
-            // This is generally the right thing to do. The
-            // semantics of `+` are special however: `1 + (2 - 3)`
-            // == `1 + 2 - 3`. `-` and `+` are the only two operators
-            // who share their precedence level. `*` also can
-            // commute in such a way with `/`, but not with `%`
-            // (all three share a precedence). So we test for
-            // all of these conditions and avoid emitting
-            // parentheses in the cases where we don’t have to.
-            result = '(' + result + ')';
+    var formatBase = function(base) {
+        var result = '';
+        var type = base.type;
+        var needsParens = base.inParens && (
+            type == 'BinaryExpression' ||
+            type == 'UnaryExpression' ||
+            type == 'FunctionDeclaration' ||
+            type == 'TableConstructorExpression' ||
+            type == 'LogicalExpression' ||
+            type == 'StringLiteral'
+        );
+        if (needsParens) {
+            result += '(';
+        }
+        result += formatExpression(base);
+        if (needsParens) {
+            result += ')';
         }
+        return result;
+    };
 
-    } else if (expressionType == 'UnaryExpression') {
+    var formatExpression = function(expression, options) {
 
-        operator = expression.operator;
-        currentPrecedence = PRECEDENCE['unary' + operator];
+        options = {
+            'precedence': 0,
+            ...options
+        };
 
-        result = joinStatements(
-            operator,
-            formatExpression(expression.argument, {
-                'precedence': currentPrecedence
-            })
-        );
+        var result = '';
+        var currentPrecedence;
+        var associativity;
+        var operator;
 
-        if (
-            currentPrecedence < options.precedence &&
-            // In principle, we should parenthesize the RHS of an
-            // expression like `3^-2`, because `^` has higher precedence
-            // than unary `-` according to the manual. But that is
-            // misleading on the RHS of `^`, since the parser will
-            // always try to find a unary operator regardless of
-            // precedence.
-            !(
-                (options.parent == '^') &&
-                options.direction == 'right'
-            )
-        ) {
-            result = '(' + result + ')';
-        }
+        var expressionType = expression.type;
 
-    } else if (expressionType == 'CallExpression') {
+        if (expressionType == 'Identifier') {
 
-        result = formatBase(expression.base) + '(';
+            result = expression.name;
 
-        eachItem(expression.arguments, function(argument, needsComma) {
-            result += formatExpression(argument);
-            if (needsComma) {
-                result += ', ';
-            }
-        });
-        result += ')';
+        } else if (
+            expressionType == 'NumericLiteral' ||
+            expressionType == 'BooleanLiteral' ||
+            expressionType == 'NilLiteral' ||
+            expressionType == 'VarargLiteral'
+        ) {
 
-    } else if (expressionType == 'TableCallExpression') {
+            result = expression.raw;
 
-        result = formatExpression(expression.base) +
-            formatExpression(expression.arguments);
+        } else if (expressionType == 'StringLiteral') {
 
-    } else if (expressionType == 'StringCallExpression') {
+            result = requote(expression.raw, style.quoteStyle);
 
-        result = formatExpression(expression.base) +
-            formatExpression(expression.argument);
+        } else if (
+            expressionType == 'LogicalExpression' ||
+            expressionType == 'BinaryExpression'
+        ) {
 
-    } else if (expressionType == 'IndexExpression') {
+            // If an expression with precedence x
+            // contains an expression with precedence < x,
+            // the inner expression must be wrapped in parens.
+            operator = expression.operator;
+            currentPrecedence = PRECEDENCE[operator];
+            associativity = 'left';
+
+            result = formatExpression(expression.left, {
+                'precedence': currentPrecedence,
+                'direction': 'left',
+                'parent': operator
+            });
+            result = joinStatements(result, operator);
+            result = joinStatements(result, formatExpression(expression.right, {
+                'precedence': currentPrecedence,
+                'direction': 'right',
+                'parent': operator
+            }));
+
+            if (operator == '^' || operator == '..') {
+                associativity = "right";
+            }
 
-        result = formatBase(expression.base) + '[' +
-            formatExpression(expression.index) + ']';
+            if (
+                currentPrecedence < options.precedence ||
+                (
+                    currentPrecedence == options.precedence &&
+                    associativity != options.direction
+                )
+            ) {
+                // The most simple case here is that of
+                // protecting the parentheses on the RHS of
+                // `1 - (2 - 3)` but deleting them from `(1 - 2) - 3`.
+                // They are kept on the RHS of `+` and `*` too:
+                // `a + (b - c)` isn't `a + b - c` with floats or
+                // metamethods, which see the operands in another order.
+                result = '(' + result + ')';
+            }
 
-    } else if (expressionType == 'MemberExpression') {
+        } else if (expressionType == 'UnaryExpression') {
+
+            operator = expression.operator;
+            currentPrecedence = PRECEDENCE['unary' + operator];
+
+            result = joinStatements(
+                operator,
+                formatExpression(expression.argument, {
+                    'precedence': currentPrecedence
+                })
+            );
+
+            if (
+                currentPrecedence < options.precedence &&
+                // In principle, we should parenthesize the RHS of an
+                // expression like `3^-2`, because `^` has higher precedence
+                // than unary `-` according to the manual. But that is
+                // misleading on the RHS of `^`, since the parser will
+                // always try to find a unary operator regardless of
+                // precedence.
+                !(
+                    (options.parent == '^') &&
+                    options.direction == 'right'
+                )
+            ) {
+                result = '(' + result + ')';
+            }
 
-        result = formatBase(expression.base) + expression.indexer +
-            formatExpression(expression.identifier);
+        } else if (expressionType == 'CallExpression') {
 
-    } else if (expressionType == 'FunctionDeclaration') {
+            result = formatBase(expression.base);
 
-        result = 'function(';
-        if (expression.parameters.length) {
-            eachItem(expression.parameters, function(parameter, needsComma) {
-                // `Identifier`s have a `name`, `VarargLiteral`s have a `value`
-                result += parameter.name
-                    ? parameter.name
-                    : parameter.value;
-                if (needsComma) {
-                    result += ', ';
-                }
+            var args = expression.arguments.map(function(argument) {
+                return formatExpression(argument);
             });
-        }
-        result += ')';
-        depth++;
-        result = joinStatements(result, formatStatementList(expression.body), '\n' + INDENT.repeat(depth));
-        depth--;
-        result = joinStatements(result, 'end', '\n' + INDENT.repeat(depth));
-
-    } else if (expressionType == 'TableConstructorExpression') {
-        if (expression.fields.length <= 0) {
-            result = '{}'
-        } else {
-            result = '{\n';
-            depth++;
-
-            eachItem(expression.fields, function(field, needsComma) {
-                result += INDENT.repeat(depth);
-                if (field.type == 'TableKey') {
-                    result += '[' + formatExpression(field.key) + '] = ' +
-                        formatExpression(field.value);
-                } else if (field.type == 'TableValue') {
-                    result += formatExpression(field.value);
-                } else { // at this point, `field.type == 'TableKeyString'`
-                    result += formatExpression(field.key) + ' = ' + formatExpression(field.value);
-                }
-                if (needsComma) {
-                    result += ',';
+            var inline = '(' + args.join(', ') + ')';
+            if (fitsLine(result + inline.split('\n')[0]) || !args.length) {
+                result += inline;
+            } else {
+                // one argument per line
+                depth++;
+                if (inline.indexOf('\n') >= 0) {
+                    // reformat the arguments spanning several lines at the new depth
+                    args = expression.arguments.map(function(argument) {
+                        return formatExpression(argument);
+                    });
                 }
-                result += '\n';
-            });
+                var separator = '\n' + INDENT.repeat(depth);
+                result += '(' + separator + args.join(',' + separator);
+                depth--;
+                result += '\n' + INDENT.repeat(depth) + ')';
+            }
 
-            depth--;
-            result += INDENT.repeat(depth);
-            result += '}';
-        }
-    } else {
+        } else if (expressionType == 'TableCallExpression') {
 
-        throw TypeError('Unknown expression type: `' + expressionType + '`');
+            result = formatExpression(expression.base) +
+                formatExpression(expression.arguments);
 
-    }
+        } else if (expressionType == 'StringCallExpression') {
 
-    return result;
-};
+            result = formatExpression(expression.base) +
+                formatExpression(expression.argument);
 
-var formatStatement = function(statement) {
-    var result = '';
-    var statementType = statement.type;
+        } else if (expressionType == 'IndexExpression') {
+
+            result = formatBase(expression.base) + '[' +
+                formatExpression(expression.index) + ']';
 
-    if (statementType == 'AssignmentStatement') {
+        } else if (expressionType == 'MemberExpression') {
 
-        // left-hand side
-        eachItem(statement.variables, function(variable, needsComma) {
-            result += formatExpression(variable);
-            if (needsComma) {
-                result += ', ';
+            result = formatBase(expression.base) + expression.indexer +
+                formatExpression(expression.identifier);
+
+        } else if (expressionType == 'FunctionDeclaration') {
+
+            result = 'function(';
+            if (expression.parameters.length) {
+                eachItem(expression.parameters, function(parameter, needsComma) {
+                    // `Identifier`s have a `name`, `VarargLiteral`s have a `value`
+                    result += parameter.name
+                        ? parameter.name
+                        : parameter.value;
+                    if (needsComma) {
+                        result += ', ';
+                    }
+                });
             }
-        });
+            result += ')';
+            depth++;
+            result = joinStatements(result, formatStatementList(expression.body, expression), '\n' + INDENT.repeat(depth));
+            depth--;
+            result = joinStatements(result, 'end', '\n' + INDENT.repeat(depth));
 
-        // right-hand side
-        result += ' = ';
-        eachItem(statement.init, function(init, needsComma) {
-            result += formatExpression(init);
-            if (needsComma) {
-                result += ', ';
+        } else if (expressionType == 'TableConstructorExpression') {
+            if (expression.fields.length <= 0) {
+                result = '{}'
+            } else {
+                // formatted for a split table, those without line breaks fit inline too
+                depth++;
+                var fields = expression.fields.map(function(field) {
+                    if (field.type == 'TableKey') {
+                        return '[' + formatExpression(field.key) + '] = ' +
+                            formatExpression(field.value);
+                    } else if (field.type == 'TableValue') {
+                        return formatExpression(field.value);
+                    } else { // at this point, `field.type == 'TableKeyString'`
+                        return formatExpression(field.key) + ' = ' + formatExpression(field.value);
+                    }
+                });
+                depth--;
+
+                var inline = '{' + fields.join(', ') + '}';
+                if (style.maxLineWidth && inline.indexOf('\n') < 0 && fitsLine(inline)) {
+                    result = inline;
+                } else {
+                    result = '{\n';
+                    depth++;
+
+                    eachItem(fields, function(field, needsComma) {
+                        result += INDENT.repeat(depth) + field;
+                        if (needsComma || style.trailingComma) {
+                            result += ',';
+                        }
+                        result += '\n';
+                    });
+
+                    depth--;
+                    result += INDENT.repeat(depth);
+                    result += '}';
+                }
             }
-        });
+        } else {
 
-    } else if (statementType == 'LocalStatement') {
+            throw TypeError('Unknown expression type: `' + expressionType + '`');
 
-        result = 'local ';
+        }
 
-        // left-hand side
-        eachItem(statement.variables, function(variable, needsComma) {
-            // Variables in a `LocalStatement` are always local, duh
-            result += variable.name;
-            if (needsComma) {
-                result += ', ';
-            }
-        });
+        if (expression.inParens && (
+            expressionType == 'CallExpression' ||
+            expressionType == 'TableCallExpression' ||
+            expressionType == 'StringCallExpression' ||
+            expressionType == 'VarargLiteral'
+        )) {
+            // `(f())` and `(...)` are truncated to a single value
+            result = '(' + result + ')';
+        }
 
-        // right-hand side
-        if (statement.init.length) {
+        return result;
+    };
+
+    var formatStatement = function(statement) {
+        var result = '';
+        var statementType = statement.type;
+
+        if (statementType == 'AssignmentStatement') {
+
+            // left-hand side
+            eachItem(statement.variables, function(variable, needsComma) {
+                result += formatExpression(variable);
+                if (needsComma) {
+                    result += ', ';
+                }
+            });
+
+            // right-hand side
             result += ' = ';
             eachItem(statement.init, function(init, needsComma) {
                 result += formatExpression(init);
@@ -310,177 +525,250 @@ var formatStatement = function(statement) {
                     result += ', ';
                 }
             });
-        }
 
-    } else if (statementType == 'CallStatement') {
+        } else if (statementType == 'LocalStatement') {
 
-        result = formatExpression(statement.expression);
+            result = 'local ';
 
-    } else if (statementType == 'IfStatement') {
+            // left-hand side
+            eachItem(statement.variables, function(variable, needsComma) {
+                // Variables in a `LocalStatement` are always local, duh
+                result += variable.name;
+                if (variable.attribute) {
+                    result += ' <' + variable.attribute + '>';
+                }
+                if (needsComma) {
+                    result += ', ';
+                }
+            });
 
-        result = joinStatements(
-            'if',
-            formatExpression(statement.clauses[0].condition)
-        );
-        result = joinStatements(result, 'then');
-        depth++;
-        result = joinStatements(
-            result,
-            formatStatementList(statement.clauses[0].body),
-            '\n' + INDENT.repeat(depth)
-        );
-        eachItem(statement.clauses.slice(1), function(clause) {
-            depth--;
-            if (clause.condition) {
-                result = joinStatements(result, 'elseif', '\n' + INDENT.repeat(depth));
-                result = joinStatements(result, formatExpression(clause.condition));
-                result = joinStatements(result, 'then');
-            } else {
-                result = joinStatements(result, 'else', '\n' + INDENT.repeat(depth));
+            // right-hand side
+            if (statement.init.length) {
+                result += ' = ';
+                eachItem(statement.init, function(init, needsComma) {
+                    result += formatExpression(init);
+                    if (needsComma) {
+                        result += ', ';
+                    }
+                });
             }
+
+        } else if (statementType == 'CallStatement') {
+
+            result = formatExpression(statement.expression);
+
+        } else if (statementType == 'IfStatement') {
+
+            result = joinStatements(
+                'if',
+                formatExpression(statement.clauses[0].condition)
+            );
+            result = joinStatements(result, 'then');
             depth++;
-            result = joinStatements(result, formatStatementList(clause.body), '\n' + INDENT.repeat(depth));
-        });
-        depth--;
-        result = joinStatements(result, 'end', '\n' + INDENT.repeat(depth));
+            result = joinStatements(
+                result,
+                formatStatementList(statement.clauses[0].body, statement.clauses[0]),
+                '\n' + INDENT.repeat(depth)
+            );
+            eachItem(statement.clauses.slice(1), function(clause) {
+                depth--;
+                if (clause.condition) {
+                    result = joinStatements(result, 'elseif', '\n' + INDENT.repeat(depth));
+                    result = joinStatements(result, formatExpression(clause.condition));
+                    result = joinStatements(result, 'then');
+                } else {
+                    result = joinStatements(result, 'else', '\n' + INDENT.repeat(depth));
+                }
+                depth++;
+                result = joinStatements(result, formatStatementList(clause.body, clause), '\n' + INDENT.repeat(depth));
+            });
+            depth--;
+            result = joinStatements(result, 'end', '\n' + INDENT.repeat(depth));
 
-    } else if (statementType == 'WhileStatement') {
+        } else if (statementType == 'WhileStatement') {
 
-        result = joinStatements('while', formatExpression(statement.condition));
-        depth++;
-        result = joinStatements(result, 'do', '\n' + INDENT.repeat(depth));
-        result = joinStatements(result, formatStatementList(statement.body), '\n' + INDENT.repeat(depth));
-        depth--;
-        result = joinStatements(result, 'end', '\n' + INDENT.repeat(depth));
+            result = joinStatements('while', formatExpression(statement.condition));
+            result = joinStatements(result, 'do');
+            depth++;
+            result = joinStatements(result, formatStatementList(statement.body, statement), '\n' + INDENT.repeat(depth));
+            depth--;
+            result = joinStatements(result, 'end', '\n' + INDENT.repeat(depth));
 
-    } else if (statementType == 'DoStatement') {
+        } else if (statementType == 'DoStatement') {
 
-        depth++;
-        result = joinStatements('do', formatStatementList(statement.body), '\n' + INDENT.repeat(depth));
-        depth--;
-        result = joinStatements(result, 'end', '\n' + INDENT.repeat(depth));
+            depth++;
+            result = joinStatements('do', formatStatementList(statement.body, statement), '\n' + INDENT.repeat(depth));
+            depth--;
+            result = joinStatements(result, 'end', '\n' + INDENT.repeat(depth));
 
-    } else if (statementType == 'ReturnStatement') {
+        } else if (statementType == 'ReturnStatement') {
 
-        result = 'return';
+            result = 'return';
 
-        eachItem(statement.arguments, function(argument, needsComma) {
-            result = joinStatements(result, formatExpression(argument));
-            if (needsComma) {
-                result += ',';
-            }
-        });
+            eachItem(statement.arguments, function(argument, needsComma) {
+                result = joinStatements(result, formatExpression(argument));
+                if (needsComma) {
+                    result += ',';
+                }
+            });
 
-    } else if (statementType == 'BreakStatement') {
+        } else if (statementType == 'BreakStatement') {
 
-        result = 'break';
+            result = 'break';
 
-    } else if (statementType == 'RepeatStatement') {
+        } else if (statementType == 'RepeatStatement') {
 
-        depth++;
-        result = joinStatements('repeat', formatStatementList(statement.body), '\n' + INDENT.repeat(depth));
-        depth--;
-        result = joinStatements(result, 'until');
-        result = joinStatements(result, formatExpression(statement.condition))
+            depth++;
+            result = joinStatements('repeat', formatStatementList(statement.body, statement), '\n' + INDENT.repeat(depth));
+            depth--;
+            result = joinStatements(result, 'until', '\n' + INDENT.repeat(depth));
+            result = joinStatements(result, formatExpression(statement.condition))
+
+        } else if (statementType == 'FunctionDeclaration') {
+
+            result += (statement.isLocal ? 'local ' : '') + 'function ';
+            result += formatExpression(statement.identifier);
+            result += '(';
+
+            if (statement.parameters.length) {
+                eachItem(statement.parameters, function(parameter, needsComma) {
+                    // `Identifier`s have a `name`, `VarargLiteral`s have a `value`
+                    result += parameter.name
+                        ? parameter.name
+                        : parameter.value;
+                    if (needsComma) {
+                        result += ', ';
+                    }
+                });
+            }
+
+            result += ')';
+            depth++;
+            result = joinStatements(result, formatStatementList(statement.body, statement), '\n' + INDENT.repeat(depth));
+            depth--;
+            result = joinStatements(result, 'end', '\n' + INDENT.repeat(depth));
 
-    } else if (statementType == 'FunctionDeclaration') {
+        } else if (statementType == 'ForGenericStatement') {
+            // see also `ForNumericStatement`
 
-        result += (statement.isLocal ? 'local ' : '') + 'function ';
-        result += formatExpression(statement.identifier);
-        result += '(';
+            result = 'for ';
 
-        if (statement.parameters.length) {
-            eachItem(statement.parameters, function(parameter, needsComma) {
-                // `Identifier`s have a `name`, `VarargLiteral`s have a `value`
-                result += parameter.name
-                    ? parameter.name
-                    : parameter.value;
+            eachItem(statement.variables, function(variable, needsComma) {
+                // The variables in a `ForGenericStatement` are always local
+                result += variable.name;
                 if (needsComma) {
                     result += ', ';
                 }
             });
-        }
 
-        result += ')';
-        depth++;
-        result = joinStatements(result, formatStatementList(statement.body), '\n' + INDENT.repeat(depth));
-        depth--;
-        result = joinStatements(result, 'end', '\n' + INDENT.repeat(depth));
+            result += ' in';
 
-    } else if (statementType == 'ForGenericStatement') {
-        // see also `ForNumericStatement`
+            eachItem(statement.iterators, function(iterator, needsComma) {
+                result = joinStatements(result, formatExpression(iterator));
+                if (needsComma) {
+                    result += ',';
+                }
+            });
 
-        result = 'for ';
+            result = joinStatements(result, 'do');
+            depth++;
+            result = joinStatements(result, formatStatementList(statement.body, statement), '\n' + INDENT.repeat(depth));
+            depth--;
+            result = joinStatements(result, 'end', '\n' + INDENT.repeat(depth));
 
-        eachItem(statement.variables, function(variable, needsComma) {
-            // The variables in a `ForGenericStatement` are always local
-            result += variable.name;
-            if (needsComma) {
-                result += ', ';
-            }
-        });
+        } else if (statementType == 'ForNumericStatement') {
 
-        result += ' in';
+            // The variables in a `ForNumericStatement` are always local
+            result = 'for ' + statement.variable.name + ' = ';
+            result += formatExpression(statement.start) + ', ' +
+                formatExpression(statement.end);
 
-        eachItem(statement.iterators, function(iterator, needsComma) {
-            result = joinStatements(result, formatExpression(iterator));
-            if (needsComma) {
-                result += ',';
+            if (statement.step) {
+                result += ', ' + formatExpression(statement.step);
             }
-        });
-
-        result = joinStatements(result, 'do');
-        depth++;
-        result = joinStatements(result, formatStatementList(statement.body), '\n' + INDENT.repeat(depth));
-        depth--;
-        result = joinStatements(result, 'end', '\n' + INDENT.repeat(depth));
 
-    } else if (statementType == 'ForNumericStatement') {
+            result = joinStatements(result, 'do');
+            depth++;
+            result = joinStatements(result, formatStatementList(statement.body, statement), '\n' + INDENT.repeat(depth));
+            depth--;
+            result = joinStatements(result, 'end', '\n' + INDENT.repeat(depth));
 
-        // The variables in a `ForNumericStatement` are always local
-        result = 'for ' + statement.variable.name + ' = ';
-        result += formatExpression(statement.start) + ', ' +
-            formatExpression(statement.end);
+        } else if (statementType == 'LabelStatement') {
 
-        if (statement.step) {
-            result += ', ' + formatExpression(statement.step);
-        }
+            // The identifier names in a `LabelStatement` can safely be renamed
+            result = '::' + statement.label.name + '::';
 
-        result = joinStatements(result, 'do');
-        depth++;
-        result = joinStatements(result, formatStatementList(statement.body), '\n' + INDENT.repeat(depth));
-        depth--;
-        result = joinStatements(result, 'end', '\n' + INDENT.repeat(depth));
+        } else if (statementType == 'GotoStatement') {
 
-    } else if (statementType == 'LabelStatement') {
+            // The identifier names in a `GotoStatement` can safely be renamed
+            result = 'goto ' + statement.label.name;
 
-        // The identifier names in a `LabelStatement` can safely be renamed
-        result = '::' + statement.label.name + '::';
-
-    } else if (statementType == 'GotoStatement') {
+        } else {
 
-        // The identifier names in a `GotoStatement` can safely be renamed
-        result = 'goto ' + statement.label.name;
+            throw TypeError('Unknown statement type: `' + statementType + '`');
 
-    } else {
+        }
 
-        throw TypeError('Unknown statement type: `' + statementType + '`');
+        return result;
+    };
 
-    }
+    return {
+        formatStatementList: formatStatementList
+    };
+}
 
-    return result;
+/** Formatting options used when not specified */
+var DEFAULT_OPTIONS = {
+    target: '5.1',
+    comments: 'all',
+    indentSize: 4,
+    useTabs: false,
+    quoteStyle: 'preserve',
+    maxLineWidth: null,
+    trailingComma: false
 };
 
+/**
+ * @param {string|{}} argument - Lua source, or a luaparse-compatible AST
+ * @param {{}} [options]
+ * @param {string} [options.target] - The Lua version to parse `argument` as
+ * @param {string} [options.comments] - Which comments to print, 'all' (default), 'important' or 'none'
+ * @param {number} [options.indentSize] - Number of spaces per indentation level, 4 by default
+ * @param {boolean} [options.useTabs] - Indent with tabs instead of spaces
+ * @param {string} [options.quoteStyle] - Quotes of short strings: 'preserve' (default), 'double' or 'single'
+ * @param {number} [options.maxLineWidth] - Wrap argument lists and table constructors longer than this.
+ *     Without it, table constructors are always split one field per line
+ * @param {boolean} [options.trailingComma] - Add a comma after the last field of split table constructors
+ * @returns {string}
+ */
+function luaprint(argument, options) {
+    options = Object.assign({}, DEFAULT_OPTIONS, options);
+    Object.keys(options).forEach(function(key) {
+        if (options[key] == null) options[key] = DEFAULT_OPTIONS[key];
+    });
 
-function luaprint(argument) {
     // `argument` can be a Lua code snippet (string)
     // or a luaparse-compatible AST (object)
-    var ast = typeof argument == 'string'
-        ? luaparse.parse(argument)
-        : argument;
+    var ast = argument;
+    if (typeof argument == 'string') {
+        var target = getTarget(options.target);
+        var parseOptions = {
+            luaVersion: target.luaVersion,
+            comments: true,
+            locations: true,
+            ranges: true
+        };
+        var parsed = attributes.parse(luaparse, argument, parseOptions, target);
+        ast = parsed.ast;
+        markParentheses(luaparse, parsed.source, ast, parseOptions);
+        attachComments(ast);
+    }
 
-    return formatStatementList(ast.body) + '\n';
+    return createFormatter(options).formatStatementList(ast.body, ast) + '\n';
 
 }
 
+luaprint.attachComments = attachComments;
+luaprint.isImportantComment = isImportantComment;
+
 module.exports = luaprint;
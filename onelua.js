@@ -1,8 +1,302 @@
 const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
+const luaparse = require("luaparse");
+const { performance } = require("perf_hooks");
 const luamin = require("luamin");
 const resolver = require('resolve').sync;
 const luaprint = require("./luaprint");
+const sourcemap = require("./sourcemap");
+const glob = require("./glob");
+const { getTarget, LUAMIN_UNSUPPORTED_OPERATORS } = require("./targets");
+const { markParentheses } = require("./parens");
+const attributes = require("./attributes");
+const { OneluaError, ErrorCodes } = require("./errors");
+const { DiskCache, DEFAULT_CACHE_DIR } = require("./cache");
+const { LOADERS, quote, getLoaders, findLoader } = require("./loaders");
+const plugins = require("./plugins");
+const { applyDefines } = require("./defines");
+const { getPreset, collectGlobals } = require("./globals");
+const { parsePath, searchFiles } = require("./searchpath");
+
+/**
+ * Runtime of debug bundles, rewriting positions in error messages and tracebacks
+ * back to the original files. `__OL__paths` maps module ids to their paths,
+ * `__OL__lines` maps each line of the bundle to its module id and original line.
+ */
+const DEBUG_RUNTIME = `
+local __OL__lines
+local __OL__source = debug and debug.getinfo and debug.getinfo(1, "S").short_src
+if __OL__source then
+    __OL__source = __OL__source:gsub("[%^%$%(%)%%%.%[%]%*%+%-%?]", "%%%0")
+end
+local __OL__unpack = table.unpack or unpack
+local __OL__remap = function(message)
+    if type(message) ~= "string" or not __OL__source then
+        return message
+    end
+    local remapped = message:gsub(__OL__source .. ":(%d+)", function(line)
+        local origin = __OL__lines[tonumber(line)]
+        if origin then
+            return __OL__paths[origin[1]] .. ":" .. origin[2]
+        end
+    end)
+    return remapped
+end
+local __OL__finish = function(ok, ...)
+    if not ok then
+        local message = ...
+        error(message, 0)
+    end
+    return ...
+end
+local __OL__call = function(fn, ...)
+    local args = { n = select("#", ...), ... }
+    return __OL__finish(xpcall(function()
+        return fn(__OL__unpack(args, 1, args.n))
+    end, __OL__remap))
+end
+if debug and debug.traceback then
+    local traceback = debug.traceback
+    debug.traceback = function(thread, ...)
+        if type(thread) == "thread" then
+            return __OL__remap(traceback(thread, ...))
+        end
+        local message, level = thread, ...
+        return __OL__remap(traceback(message, (level or 1) + 1))
+    end
+end
+`;
+
+/**
+ * Runtime of bundles with dynamic requires, looking up the modules registered under their
+ * require names in `__OL__registry`, and falling back to the host's require() otherwise.
+ */
+const DYNAMIC_REQUIRE_RUNTIME = `
+local __OL__global_require = require
+local __OL__dynamic_require = function(name)
+    local id = __OL__registry[name]
+    if id then
+        return __OL__require(id)
+    end
+    if __OL__global_require then
+        return __OL__global_require(name)
+    end
+    error("module '" .. tostring(name) .. "' not found in the bundle", 2)
+end
+`;
+
+/**
+ * Parse a snippet of Lua generated by onelua
+ * @param {string} source
+ * @param {string[]} [locals] - Names other than the __OL__ variables that are locals declared around the snippet
+ * @returns {{}} The chunk of the snippet
+ */
+function parseRuntime(source, locals) {
+    var chunk = luaparse.parse(source, { scope: true, comments: false });
+
+    /* the __OL__ variables are locals declared elsewhere in the bundle */
+    var markLocals = (node) => {
+        if (!node || typeof node != "object") return;
+        if (node.type == "Identifier" && (node.name.startsWith("__OL__") || locals?.includes(node.name))) node.isLocal = true;
+        Object.values(node).forEach(markLocals);
+    };
+    markLocals(chunk.body);
+    chunk.globals = chunk.globals.filter((identifier) => !identifier.name.startsWith("__OL__") && !locals?.includes(identifier.name));
+
+    return chunk;
+}
+
+/**
+ * Point a placeholder NumericLiteral node to the given value
+ * @param {{}} node
+ * @param {number} value
+ */
+function setNumericLiteral(node, value) {
+    node.value = value;
+    node.raw = value.toString();
+}
+
+/**
+ * Point the call replacing a require() to a bundled module
+ * @param {{}} node
+ * @param {number|string} target - Id of the module, or the name it's registered under in package.preload
+ */
+function setRequireTarget(node, target) {
+    if (typeof target == "number") {
+        node.base = { "type": "Identifier", "name": "__OL__require", "isLocal": true };
+        node.arguments[0] = { "type": "NumericLiteral", "value": null, "raw": null };
+        setNumericLiteral(node.arguments[0], target);
+    } else {
+        node.base = { "type": "Identifier", "name": "require", "isLocal": false };
+        node.arguments[0] = { "type": "StringLiteral", "value": target, "raw": quote(target) };
+    }
+}
+
+/**
+ * Point the index replacing a package.loaded[...] to a bundled module
+ * @param {{}} node
+ * @param {number?} id - Id of the module, or null to index the real package.loaded
+ * @param {{}} [index] - What the real package.loaded is indexed with, `...` by default
+ */
+function setLoadedTarget(node, id, index) {
+    if (id == null) {
+        node.base = {
+            "type": "MemberExpression",
+            "indexer": ".",
+            "identifier": { "type": "Identifier", "name": "loaded" },
+            "base": { "type": "Identifier", "name": "package", "isLocal": false }
+        };
+        node.index = index ? { ...index } : { "type": "VarargLiteral", "value": "...", "raw": "..." };
+    } else {
+        node.base = { "type": "Identifier", "name": "__OL__cached_packages", "isLocal": true };
+        node.index = { "type": "NumericLiteral", "value": null, "raw": null };
+        setNumericLiteral(node.index, id);
+    }
+}
+
+/**
+ * @param {{}} ast - Chunk of a module
+ * @returns {boolean} Whether the chunk uses `...` outside of functions, i.e. its arguments
+ */
+function usesVarargs(ast) {
+    var found = false;
+    var visit = (node) => {
+        if (found || !node || typeof node != "object") return;
+        if (node.type == "VarargLiteral") {
+            found = true;
+            return;
+        }
+        if (node.type == "FunctionDeclaration") return;  // `...` of its own
+        Object.keys(node).forEach((key) => {
+            if (key != "loc" && key != "range") visit(node[key]);
+        });
+    };
+    visit(ast.body);
+    return found;
+}
+
+/**
+ * Deep copy an AST, keeping nodes that appear in several places shared
+ * @param {*} node
+ * @param {Map<{}, {}>} [copies] - Copies of the nodes met so far
+ * @returns {*}
+ */
+function cloneAst(node, copies = new Map()) {
+    if (!node || typeof node != "object") return node;
+    if (copies.has(node)) return copies.get(node);
+    var copy = Array.isArray(node) ? [] : {};
+    copies.set(node, copy);
+    Object.keys(node).forEach((key) => {
+        copy[key] = cloneAst(node[key], copies);
+    });
+    return copy;
+}
+
+/**
+ * Find the locals of a chunk that hold its module name, declared once as `local name = ...` outside of functions
+ * and never assigned again
+ * @param {{}} ast - Chunk of a module, parsed with `scope: true`
+ * @returns {{names: Set<string>, others: Set<string>}} Those locals, and the other locals declared from `...`,
+ * which can't be told to still hold it
+ */
+function findNameLocals(ast) {
+    var declared = {};
+    var assigned = new Set();
+    var candidates = [];
+    var declare = (identifier) => {
+        if (identifier?.type == "Identifier") declared[identifier.name] = (declared[identifier.name] || 0) + 1;
+    };
+    var visit = (node, inFunction) => {
+        if (!node || typeof node != "object") return;
+        if (Array.isArray(node)) {
+            node.forEach((child) => visit(child, inFunction));
+            return;
+        }
+        switch (node.type) {
+            case "LocalStatement":
+                node.variables.forEach((variable, index) => {
+                    declare(variable);
+                    // the last expression gives the first of the values of `...`
+                    if (index == node.init.length - 1 && node.init[index].type == "VarargLiteral")
+                        candidates.push({ name: variable.name, inFunction: inFunction });
+                });
+                break;
+            case "AssignmentStatement":
+                node.variables.forEach((variable) => {
+                    if (variable.type == "Identifier") assigned.add(variable.name);
+                });
+                break;
+            case "FunctionDeclaration":
+                if (node.isLocal) declare(node.identifier);
+                else if (node.identifier?.type == "Identifier") assigned.add(node.identifier.name);
+                node.parameters.forEach(declare);
+                inFunction = true;
+                break;
+            case "ForNumericStatement":
+                declare(node.variable);
+                break;
+            case "ForGenericStatement":
+                node.variables.forEach(declare);
+                break;
+        }
+        Object.keys(node).forEach((key) => {
+            if (key != "loc" && key != "range") visit(node[key], inFunction);
+        });
+    };
+    visit(ast.body, false);
+
+    var names = new Set();
+    var others = new Set();
+    candidates.forEach(({ name, inFunction }) => {
+        if (!inFunction && declared[name] == 1 && !assigned.has(name)) names.add(name);
+        else others.add(name);
+    });
+    return { names: names, others: others };
+}
+
+/**
+ * Find the directory of the package.json closest to a directory, walking up
+ * @param {string} dir
+ * @returns {string?}
+ */
+function findPackageDir(dir) {
+    for (;;) {
+        if (fs.existsSync(path.join(dir, "package.json")))
+            return dir;
+        let parent = path.dirname(dir);
+        if (parent == dir) return null;
+        dir = parent;
+    }
+}
+
+/**
+ * Find what a subpath of a package is exported as, in the `onelua.exports` of its package.json
+ * @param {string|Object<string, string?>} exports - Subpath: path relative to the package.json, where a `*` in both
+ * stands for the rest of the module name, e.g. {".": "src/init.lua", "./widgets/*": "src/widgets/*.lua"}.
+ * A string is the export of ".", and null targets keep subpaths private.
+ * @param {string} subpath - e.g. "./widgets/button"
+ * @returns {string?} The path it's exported as, or null if it's private
+ */
+function findExport(exports, subpath) {
+    if (typeof exports == "string")
+        exports = { ".": exports };
+    if (subpath in exports)
+        return exports[subpath];
+
+    // the most specific pattern matching it
+    var pattern = Object.keys(exports)
+        .filter((key) => key.indexOf("*") >= 0)
+        .sort((a, b) => b.length - a.length)
+        .find((key) => {
+            let [prefix, suffix] = key.split("*");
+            return subpath.length > prefix.length + suffix.length && subpath.startsWith(prefix) && subpath.endsWith(suffix);
+        });
+    if (!pattern || exports[pattern] == null)
+        return null;
+    let [prefix, suffix] = pattern.split("*");
+    return exports[pattern].replace(/\*/g, subpath.slice(prefix.length, subpath.length - suffix.length));
+}
 
 class LuaPackage {
     /**
@@ -47,8 +341,12 @@ class LuaScript {
     /**
      * @param {string} path_absol
      * @param {LuaPackage?} pkg
+     * @param {string?} [loader] - Name of the loader turning the file into Lua, for files that aren't Lua scripts
      */
-    constructor(path_absol, pkg) {
+    constructor(path_absol, pkg, loader) {
+        // a script reachable through symlinks, e.g. in npm workspaces, is the same module
+        if (fs.existsSync(path_absol))
+            path_absol = fs.realpathSync(path_absol);
         this.path = path_absol;
         /**
          * The script's package object
@@ -56,9 +354,13 @@ class LuaScript {
          */
         this.package = pkg;
         this.baseDir = path.dirname(path_absol);
+        this.loader = loader || null;
     }
 
+    /** The Lua source of the script */
     get contents() {
+        if (this.loader)
+            return LOADERS[this.loader](fs.readFileSync(this.path), this.path);
         return fs.readFileSync(this.path, 'utf-8');
     }
 
@@ -67,22 +369,249 @@ class LuaScript {
     }
 }
 
+/**
+ * @typedef {Object} BuildResult
+ * @property {string} code - The bundled code
+ * @property {{}?} map - The v3 source map of the code, with the `sourceMap` option
+ * @property {{id: number, path: string, package: string?, version: string?, size: number}[]} modules - The bundled modules, by id, with their size in bytes
+ * @property {{code: string, message: string, file: string?, line: number?, column: number?}[]} warnings
+ * @property {{resolve: number, output: number, total: number}} timing - Milliseconds spent on the build
+ * @property {{parsed: number, reused: number}} stats - Number of scripts parsed and reused from cache
+ * @property {{file: string, name: string, write: boolean, line: number?, column: number?, allowed: boolean}[]} globals - Globals used by each module, with `checkGlobals`
+ * @property {string[]} externals - External modules the bundle requires at runtime
+ * @property {{nodes: {}[], edges: {}[]}} graph - The module graph, see graph.js
+ */
+
 class OLProcessor {
     constructor(entry, options) {
         this.debug = options.debug;
         this.minify = options.minify;
+        /**
+         * Rewrite error messages and tracebacks raised at runtime to point to the original files.
+         * Implies non-minified output, as Lua only reports line numbers.
+         */
+        this.debugBundle = options.debugBundle;
+        if (this.debugBundle)
+            this.minify = false;
+        /**
+         * The Lua version to parse and output, Lua 5.1 by default
+         * @type {{id: string, luaVersion: string, name: string}}
+         */
+        this.target = getTarget(options.target);
+        /**
+         * Text prepended to the output, or a function returning it for each build
+         * @type {(string|() => string)?}
+         */
+        this.banner = options.banner;
+        /**
+         * Path to write the source map of the output to
+         * @type {string?}
+         */
+        this.sourceMap = options.sourceMap;
+        /**
+         * Which comments to keep: 'all', 'important' (`--[[!` blocks, `@license` and `@preserve`) or 'none'.
+         * Defaults to 'important' for minified output, which moves them to the top, and 'all' otherwise.
+         */
+        this.comments = options.comments || (this.minify ? "important" : "all");
+        if (!["all", "important", "none"].includes(this.comments))
+            throw new OneluaError(ErrorCodes.INVALID_OPTION, `Invalid comments option: "${this.comments}", expected one of all, important, none`);
+        // luamin drops every comment, only the important ones can be put back on top
+        if (this.minify && this.comments == "all")
+            throw new OneluaError(ErrorCodes.INVALID_OPTION, `Invalid comments option: "all" can't be kept in minified output, expected important or none, or build with --no-minify`);
+        /**
+         * Formatting options of non-minified output, see luaprint
+         * @type {{indentSize: number?, useTabs: boolean?, quoteStyle: string?, maxLineWidth: number?, trailingComma: boolean?}}
+         */
+        this.format = options.format || {};
+        /**
+         * Module names or globs of modules to bundle for require() calls with a non-literal argument
+         * @type {string[]}
+         */
+        this.include = options.include || [];
+        /** Register every bundled module under its require name, for require() calls with a non-literal argument */
+        this.dynamicRequire = options.dynamicRequire || this.include.length > 0;
+        /**
+         * extension: name of the loader of required files that aren't Lua scripts, e.g. {".json": "json"}
+         * @type {Object<string, string>}
+         */
+        this.loaders = getLoaders(options.loaders);
+        /**
+         * Fail the build on globals that aren't in the environment: true for the standard library of the target,
+         * or the target whose standard library to allow, e.g. "5.1"
+         * @type {(boolean|string)?}
+         */
+        this.checkGlobals = options.checkGlobals;
+        /**
+         * Globals of the environment allowed besides the standard library, e.g. ["love"]
+         * @type {string[]}
+         */
+        this.allowedGlobals = options.globals || [];
+        /**
+         * Globals read and written by each module in the last build, with `checkGlobals`
+         * @type {{file: string, name: string, write: boolean, line: number?, column: number?, allowed: boolean}[]}
+         */
+        this.globals = [];
+        /**
+         * Global identifiers replaced by literals in every module, name: value (null for nil)
+         * @type {Object<string, *>}
+         */
+        this.define = options.define || {};
+        /**
+         * Plugins resolving modules and transforming ASTs, see plugins.js
+         * @type {{name: string}[]}
+         */
+        this.plugins = (options.plugins || []).map((plugin) => ({ ...plugin, name: plugin.name || "(unnamed)" }));
+        /**
+         * Allow circular requires like Lua does: requiring a module that is still loading returns
+         * what it stored in `package.loaded[...]` so far, instead of failing the build
+         */
+        this.circular = options.circular;
+        /**
+         * Register the modules in package.preload under their require names, and require them with the global
+         * require(), so that code loaded at runtime gets the same instances
+         */
+        this.preload = options.preload;
+        /**
+         * Module names or globs of modules provided by the host at runtime, whose require() calls are left as they are,
+         * e.g. ["socket", "lfs", "engine.*"]
+         * @type {string[]}
+         */
+        this.externals = options.externals || [];
+        /**
+         * Names of the external modules required in the last build, which the bundle expects at runtime
+         * @type {string[]}
+         */
+        this.requiredExternals = [];
+        /**
+         * What to do when a package is bundled several times, at different versions or paths:
+         * 'warn', 'error' or 'dedupe', bundling the version installed for the project, else the first one required
+         */
+        this.duplicates = options.duplicates || "warn";
+        if (!["warn", "error", "dedupe"].includes(this.duplicates))
+            throw new OneluaError(ErrorCodes.INVALID_OPTION, `Invalid duplicates option: "${this.duplicates}", expected one of warn, error, dedupe`);
+        /**
+         * Package name: directory of the version bundled in the last build, with `duplicates: 'dedupe'`
+         * @type {Map<string, string>}
+         */
+        this.pinnedPackages = new Map();
         this.entryScript = new LuaScript(path.resolve(entry));
-        // // Search paths for packages
-        // this.packagePaths = [
-        //     "?.lua",
-        //     "?/init.lua",
-        //     "?/?.lua"
-        // ]
-
-        if (!this.entryScript.exists()) throw "Entry script doesn't exist!";
+        /** package.json of the project the entry script belongs to, owning the scripts outside of npm packages */
+        var projectDir = findPackageDir(this.entryScript.baseDir);
+        this.projectPackage = projectDir ? JSON.parse(fs.readFileSync(path.join(projectDir, "package.json"), "utf-8")) : null;
+        /**
+         * Module name prefixes of the project's scripts mapped to directories relative to its package.json,
+         * e.g. {"@core": "src/core"}. Packages declare their own in their `onelua.alias`.
+         * @type {Object<string, string>}
+         */
+        this.alias = options.alias || {};
+        this.aliasDir = projectDir || this.entryScript.baseDir;
+        /**
+         * Parsed scripts kept across runs, in `node_modules/.cache/onelua` of the project by default.
+         * Disabled with `cache: false`, for scripts outside of a project unless `cacheDir` is given, and with plugins
+         * whose transforms can't be told apart when they change.
+         * @type {DiskCache?}
+         */
+        var cacheDir = options.cacheDir || (projectDir && path.join(projectDir, DEFAULT_CACHE_DIR));
+        this.diskCache = options.cache === false || !cacheDir || !plugins.isCacheable(this.plugins) ? null : new DiskCache(path.resolve(cacheDir));
+        this.diskCache?.prune();
+        /**
+         * Templates the project's modules are searched with, like Lua's `package.path`, e.g. ["?.lua", "?/init.lua"].
+         * Packages declare their own in their `onelua.path`.
+         * @type {string[]}
+         */
+        this.searchPath = parsePath(options.path);
+
+        /**
+         * Paths of every script in the module graph of the last build
+         * @type {string[]}
+         */
+        this.files = [];
+        /** Number of scripts parsed and reused from cache in the last build */
+        this.stats = { parsed: 0, reused: 0 };
+        /**
+         * Module graph of the last build, see graph.js
+         * @type {{nodes: {}[], edges: {}[]}}
+         */
+        this.graph = { nodes: [], edges: [] };
+        /**
+         * Modules bundled in the last build, by id
+         * @type {{id: number, path: string, package: string?, version: string?, size: number}[]}
+         */
+        this.modules = [];
+        /**
+         * Warnings of the last build
+         * @type {{code: string, message: string, file: string?, line: number?, column: number?}[]}
+         */
+        this.warnings = [];
+        /** Milliseconds spent resolving the modules, outputting the bundle and in total in the last build */
+        this.timing = { resolve: 0, output: 0, total: 0 };
+
+        /**
+         * Parsed scripts kept across builds, keyed by path and the options they were parsed with, along with
+         * the hash of their contents. Can be shared by processors, so that common modules are parsed once:
+         * a build resolves and outputs the cached ASTs synchronously, so builds never interleave.
+         * @type {Map<string, {hash: string, ast: {}, sites: {}[]}>}
+         */
+        this.parseCache = options.parseCache || new Map();
+        /**
+         * Module ids kept across builds so that cached ASTs stay valid.
+         * path: id
+         */
+        this.assignedIds = {};
+        this.lastModuleId = 0;
+
+        if (!this.entryScript.exists())
+            throw new OneluaError(ErrorCodes.ENTRY_NOT_FOUND, `Entry script doesn't exist: ${this.entryScript.path}`, { file: this.entryScript.path });
     }
 
+    /**
+     * Bundle the entry script with every module it requires, writing the source map if one is asked for
+     * @returns {string} The bundled code
+     * @throws {OneluaError}
+     */
     process() {
+        var result = this.#bundle();
+        if (result.map)
+            fs.writeFileSync(this.sourceMap, JSON.stringify(result.map));
+        return result.code;
+    }
+
+    /**
+     * Bundle the entry script with every module it requires
+     * @returns {Promise<BuildResult>}
+     * @throws {OneluaError}
+     */
+    async build() {
+        var { code, map } = this.#bundle();
+        return {
+            code: code,
+            map: map,
+            modules: this.modules,
+            warnings: this.warnings,
+            timing: this.timing,
+            stats: this.stats,
+            globals: this.globals,
+            externals: this.requiredExternals,
+            graph: this.graph
+        };
+    }
+
+    /**
+     * @param {string} code - One of the warning codes
+     * @param {string} message
+     * @param {{file: string?, line: number?, column: number?}} [location]
+     */
+    #warn(code, message, location) {
+        this.warnings.push({ code: code, message: message, file: location?.file ?? null, line: location?.line ?? null, column: location?.column ?? null });
+        if (this.debug) console.log(`warning: ${message}`);
+    }
+
+    /**
+     * @returns {{code: string, map: {}?}} The bundled code, and its source map if one is asked for
+     */
+    #bundle() {
+        var time_start = performance.now();
+        this.warnings = [];
         /**
          * path: id
          * negative id means module not exported yet (i.e. no `package.loaded` or `return`)
@@ -90,16 +619,36 @@ class OLProcessor {
         var modulesIds = {};  
         var modulesAst = {};  /* id: ast */
         var mainAst = null;
+        var registry = {};  /* require name: id, for dynamic requires */
+        var preloadNames = null;  /* id: name registered in package.preload */
+        var graph = { nodes: [], edges: [] };
+        var modules = [];
+        /** The require() calls being resolved, from the entry script down */
+        var chain = [];
+        /** Names of the external modules required */
+        var externals = new Set();
+        /** The calls replacing require(), with the id of the module they require */
+        var requires = [];
+        /** id: name the module was first required with */
+        var firstNames = {};
+        /** Package name: package directory: the require() chains that pulled it in */
+        var packages = new Map();
+        /** Package name: directory of a version replaced by the one bundled: the require() chains that asked for it */
+        var deduped = new Map();
+        this.pinnedPackages = new Map();
 
-        var currModuleId = 0;
+        var stats = { parsed: 0, reused: 0 };
+        /* keep watching the previous graph if this build fails midway */
+        var files = new Set(this.files);
 
         /**
          *
          * @param {LuaScript} script
          * @param {LuaScript?} previousScript
+         * @param {string} [name] - Name the script is required with, null for the entry script
          * @returns {number} moduleId
          */
-        var recurseResolve = (script, previousScript) => {
+        var recurseResolve = (script, previousScript, name) => {
             const is_entry = !previousScript;
 
             if (script.path in modulesIds) {
@@ -110,159 +659,168 @@ class OLProcessor {
                     return modulesIds[script.path];
                 } else if (resolvedId < 0) {
                     // circular dependency!
-                    throw `Circular dependency caught between:\n  - ${script.path}\n  - ${previousScript.path}`;
+                    if (this.circular && !is_entry && script.path != this.entryScript.path) {
+                        // resolved at runtime to what the module has stored in package.loaded so far
+                        let last = chain[chain.length - 1];
+                        this.#warn("CIRCULAR_REQUIRE",
+                            `Circular require of ${script.path} in ${last.path}:${last.line}, it gets what the module stored in package.loaded so far`,
+                            { file: last.path, line: last.line, column: last.column });
+                        return this.assignedIds[script.path];
+                    }
+                    let start = chain.findIndex((hop) => hop.path == script.path);
+                    let hops = chain.slice(start).map((hop) => `  - ${hop.path}:${hop.line} requires "${hop.module}"`);
+                    let last = chain[chain.length - 1];
+                    throw new OneluaError(ErrorCodes.CIRCULAR_DEPENDENCY,
+                        `Circular dependency caught:\n${hops.join("\n")}\nBuild with --circular to allow it`,
+                        { file: last.path, line: last.line, column: last.column });
                 }
             }
 
-            /* delete luaparse cache */
-            require("decache")("luaparse");
-            const luaparse = require("luaparse");
-
             // first come first served, assign an id right away to this module before doing so for children
-            const thisModuleId = is_entry ? 0 : ++currModuleId;
+            if (!is_entry && !(script.path in this.assignedIds))
+                this.assignedIds[script.path] = ++this.lastModuleId;
+            const thisModuleId = is_entry ? 0 : this.assignedIds[script.path];
             // mark as resolving in progress
             modulesIds[script.path] = -1;
+            files.add(script.path);
+            graph.nodes.push(this.#graphNode(script, thisModuleId));
 
-            /**
-             *
-             * @param {LuaScript} base_script
-             * @param {string} module
-             * @returns {LuaScript?}
-             */
-            var get_required = (base_script, module) => this.#getRequiredModule(base_script, module);  // expose function to luaparse
-
-            var new_astnode = (module, node) => {
-                let required = get_required(script, module);
-                if (required == null)
-                    throw `Invalid require: module "${module}" was not found in ${script.path}:${node.base.loc.start.line}`;
-
-                if (this.debug) console.log(`found module in ${required.path}`);
-
-                // call recursive
-                var module_id = recurseResolve(required, script);
-                if (this.debug) console.log(`got back id of ${module_id} (resolving for ${script.path})`);
+            var parsed = this.#parseScript(script);
+            if (parsed.reused) stats.reused++; else stats.parsed++;
+            let node = graph.nodes[graph.nodes.length - 1];
+            modules.push({ id: thisModuleId, path: script.path, package: node.package, version: node.version, size: Buffer.byteLength(parsed.contents) });
 
-                return {
-                    "type": "CallExpression",
-                    "base": {
-                        "type": "Identifier",
-                        "name": "__OL__require",
-                        "isLocal": true
-                    },
-                    "arguments": [
-                        {
-                            "type": "NumericLiteral",
-                            "value": module_id,
-                            "raw": module_id.toString()
-                        }
-                    ]
-                }
-            }
+            // resolve the require() calls and package.loaded assignments in the order they appear
+            for (const site of parsed.sites) {
+                if (site.type == "require") {
+                    let tried = [];
+                    let replaced = [];
+                    let required = this.#getRequiredModule(script, site.module, tried, replaced);
+                    if (required == null)
+                        throw new OneluaError(ErrorCodes.MODULE_NOT_FOUND,
+                            `Invalid require: module "${site.module}" was not found in ${script.path}:${site.line}:` +
+                            tried.map((line) => "\n\t" + line).join(""),
+                            { file: script.path, line: site.line, column: site.column });
+                    replaced.forEach(({ name, dir }) => {
+                        if (!deduped.has(name)) deduped.set(name, new Map());
+                        let dirs = deduped.get(name);
+                        if (!dirs.has(dir)) dirs.set(dir, []);
+                        dirs.get(dir).push([...chain, { path: script.path, module: site.module, line: site.line }]);
+                    });
 
-            var originalStringCall = luaparse.ast["stringCallExpression"];
-            luaparse.ast["stringCallExpression"] = function () {
-                var node = originalStringCall.apply(null, arguments);
-                if (node.base.type == "Identifier" && node.base.name == "require") {
-                    //console.log(require("util").inspect(node, {showHidden: false, depth: null}))
-                    let arg = node.argument;
-
-                    // replace ast to point to new module
-                    node = new_astnode(arg.value, node);
-                }
-                return node;
-            }
+                    if (this.debug) console.log(`found module in ${required.path}`);
+                    if (required.package && required.package.packageDir != script.package?.packageDir) {
+                        // entering a package
+                        let pkgName = required.package.packageConfig.name || required.package.packageDir;
+                        if (!packages.has(pkgName)) packages.set(pkgName, new Map());
+                        let dirs = packages.get(pkgName);
+                        if (!dirs.has(required.package.packageDir)) dirs.set(required.package.packageDir, []);
+                        dirs.get(required.package.packageDir).push([...chain, { path: script.path, module: site.module, line: site.line }]);
+                    }
 
-            var originalCall = luaparse.ast["callExpression"];
-            luaparse.ast["callExpression"] = function () {
-                var node = originalCall.apply(null, arguments);
-                if (node.base.type == "Identifier" && node.base.name == "require") {
-                    //console.log(require("util").inspect(node, {showHidden: false, depth: null}))
-                    let first_arg = node.arguments[0];
-                    if (first_arg.type != "StringLiteral") throw `Invalid require: expected require() argument of type StringLiteral, got ${first_arg.type}`;
+                    // call recursive
+                    chain.push({ path: script.path, module: site.module, line: site.line, column: site.column });
+                    var module_id = recurseResolve(required, script, site.module);
+                    chain.pop();
+                    if (this.debug) console.log(`got back id of ${module_id} (resolving for ${script.path})`);
 
-                    // replace ast to point to new module
-                    node = new_astnode(first_arg.value, node);
-                }
-                return node;
-            };
-
-            // package.loaded[...] = xx
-            var originalAssg = luaparse.ast["assignmentStatement"];
-            luaparse.ast["assignmentStatement"] = function () {
-                var node = originalAssg.apply(null, arguments);
-                // var node = {
-                //     "type": "AssignmentStatement",
-                //     "variables": [
-                //       {
-                //         "type": "IndexExpression",
-                //         "base": {
-                //           "type": "MemberExpression",
-                //           "indexer": ".",
-                //           "identifier": { "type": "Identifier", "name": "loaded" },
-                //           "base": { "type": "Identifier", "name": "package" }
-                //         },
-                //         "index": { "type": "VarargLiteral", "value": "...", "raw": "..." }
-                //       }
-                //     ],
-                //     "init": [{ "type": "Identifier", "name": "ModuleVarName" }]
-                //   }
-                //   {
-                //     "type": "AssignmentStatement",
-                //     "variables": [
-                //       {
-                //         "type": "IndexExpression",
-                //         "base": { "type": "Identifier", "name": "__OL__cached_packages" },
-                //         "index": { "type": "NumericLiteral", "value": 23, "raw": "23" }
-                //       }
-                //     ],
-                //     "init": [{ "type": "Identifier", "name": "Command" }]
-                //   },
-                if (node.variables[0]?.base?.type=="MemberExpression" &&
-                    node.variables[0]?.base?.base?.name == "package" &&
-                    node.variables[0]?.base?.identifier?.name == "loaded" &&
-                    node.variables[0]?.index?.type == "VarargLiteral" && node.variables[0]?.index?.value=="...") {
-                    if (is_entry) throw `Invalid package.loaded: cannot cache entry script as it is not a package`;
+                    setRequireTarget(site.node, module_id);
+                    requires.push({ node: site.node, id: module_id });
+                    if (!(module_id in firstNames)) firstNames[module_id] = site.module;
+                    graph.edges.push({ from: thisModuleId, to: module_id, require: site.module, line: site.line });
+                    if (!(site.module in registry))
+                        registry[site.module] = module_id;
+                    else if ((this.dynamicRequire || this.preload) && registry[site.module] != module_id)
+                        this.#warn("AMBIGUOUS_REQUIRE_NAME",
+                            `"${site.module}" is required as ${required.path} in ${script.path}:${site.line}, but runtime requires of it get the module it was first required as`,
+                            { file: script.path, line: site.line, column: site.column });
+                } else if (site.type == "external") {
+                    externals.add(site.module);
+                } else if (site.type == "loaded") {
+                    // only modules bundled privately have a name package.loaded could miss
+                    if (!is_entry && !this.preload)
+                        this.#warn("AMBIGUOUS_EXPORT",
+                            `package.loaded[${site.local}] in ${script.path}:${site.line} is left to the real package.loaded, as "${site.local}" may no longer be the module's name: ` +
+                            `if it is, require() doesn't return what's stored there, use package.loaded[...] instead`,
+                            { file: script.path, line: site.line, column: site.column });
+                } else if (site.type == "export") {
+                    if (site.name != null && site.name != name || is_entry && site.index) {
+                        // storing another module, or whatever the entry script stores
+                        setLoadedTarget(site.node, null, site.index);
+                        continue;
+                    }
+                    if (site.write === false) {
+                        // reading what the module stored so far
+                        setLoadedTarget(site.node, this.preload ? null : thisModuleId, site.index);
+                        continue;
+                    }
+                    if (is_entry)
+                        throw new OneluaError(ErrorCodes.INVALID_EXPORT,
+                            `Invalid package.loaded: cannot cache entry script as it is not a package in ${script.path}:${site.line}`,
+                            { file: script.path, line: site.line, column: site.column });
                     if (this.debug) console.log("transforming package.loaded to OL_require")
 
-                    // replace package.loaded with __OL__cached_packages
-                    node.variables = [
-                        {
-                          "type": "IndexExpression",
-                          "base": { "type": "Identifier", "name": "__OL__cached_packages" },
-                          "index": { "type": "NumericLiteral", "value": thisModuleId, "raw": thisModuleId.toString() }
-                        }
-                    ]
+                    setLoadedTarget(site.node, this.preload ? null : thisModuleId, site.index);
                     modulesIds[script.path] = thisModuleId;
                 }
-                return node;
-            };
-
-            if (this.debug) console.log("!!!!!! parsing ast for " + script.path)
-            //try {
-            var ast = luaparse.parse(script.contents, {
-                encodingMode: 'x-user-defined',
-                scope: true,
-                comments: true,
-                locations: true
-            });
-            //console.log(require("util").inspect(ast, {depth:4}))
-            //}catch (err){ console.log(err) }
-
-            if (this.debug) console.log("-----finished parse ast for " + script.path)
+            }
 
             if (is_entry) {
-                mainAst = ast;
+                modulesIds[script.path] = 0;
+                mainAst = parsed.ast;
             } else {
                 modulesIds[script.path] = thisModuleId;
                 //if (this.debug) console.dir(modulesIds)
                 if (this.debug) console.log("! The module '" + script.path + `' was resolved with id: ${thisModuleId}`)
 
-                modulesAst[thisModuleId] = ast;
+                modulesAst[thisModuleId] = parsed.ast;
                 return thisModuleId;
             }
         }
 
-        recurseResolve(this.entryScript, null);
+        try {
+            recurseResolve(this.entryScript, null);
+
+            // modules that may only be required dynamically, looked up as if required from the entry script
+            if (this.dynamicRequire) {
+                this.#expandIncludes().forEach((module) => {
+                    let tried = [];
+                    let required = this.#getRequiredModule(this.entryScript, module, tried);
+                    if (required == null)
+                        throw new OneluaError(ErrorCodes.MODULE_NOT_FOUND,
+                            `Invalid include: module "${module}" was not found:` + tried.map((line) => "\n\t" + line).join(""));
+                    registry[module] = recurseResolve(required, this.entryScript, module);
+                    graph.edges.push({ from: 0, to: registry[module], require: module, line: null });
+                });
+            }
+            this.#checkDuplicates(packages, deduped);
+
+            // modules registered in package.preload are required by name
+            if (this.preload) {
+                preloadNames = {};
+                Object.keys(registry).forEach((name) => {
+                    if (!(registry[name] in preloadNames)) preloadNames[registry[name]] = name;
+                });
+                // modules whose names all went to other modules
+                Object.keys(firstNames).forEach((id) => {
+                    if (!(id in preloadNames)) preloadNames[id] = `${firstNames[id]}#${id}`;
+                });
+                requires.forEach(({ node, id }) => setRequireTarget(node, preloadNames[id]));
+            }
+        } catch (err) {
+            this.files = [...files];
+            throw err;
+        }
+
+        this.files = Object.keys(modulesIds);
+        this.stats = stats;
+        graph.nodes.sort((a, b) => a.id - b.id);
+        this.graph = graph;
+        this.modules = modules.sort((a, b) => a.id - b.id);
+        this.requiredExternals = [...externals].sort();
+        if (this.checkGlobals)
+            this.#checkGlobals(modules, mainAst, modulesAst);
+        var time_resolved = performance.now();
 
         // merge the asts finally
         /*Object.keys(modulesAst).forEach((key) => {
@@ -274,97 +832,581 @@ class OLProcessor {
             console.log("MAINast:"); console.dir(mainAst);
         }
 
-        var finalAst = this.#createFinalAst(modulesIds, modulesAst, mainAst);
+        var finalAst = this.#createFinalAst(modulesIds, modulesAst, mainAst, registry, preloadNames);
+        // the module bodies are the cached ASTs, which the next build reuses as they are
+        if (this.plugins.some((plugin) => plugin.transformBundle))
+            finalAst = cloneAst(finalAst);
+        finalAst = plugins.transform(this.plugins, "transformBundle", finalAst, { path: null, target: this.target.id });
+
+        if (this.minify)
+            this.#checkMinifiable(finalAst);
+
+        var output = this.minify ? luamin.minify(finalAst) : luaprint(finalAst, { ...this.format, comments: this.comments });
+
+        if (this.minify && this.comments != "none") {
+            // luamin drops every comment, keep the important ones at the top
+            let important = [];
+            [mainAst, ...Object.values(modulesAst)].forEach((ast) => {
+                ast.comments.forEach((comment) => {
+                    if (luaprint.isImportantComment(comment) && !important.includes(comment.raw))
+                        important.push(comment.raw);
+                });
+            });
+            if (important.length)
+                output = important.join("\n") + "\n" + output;
+        }
+
+        var banner = typeof this.banner == "function" ? this.banner() : this.banner;
+        if (banner)
+            output = banner + output;
+
+        if (this.debugBundle)
+            output = this.#fillDebugLines(finalAst, output, modulesIds);
+
+        if (this.sourceMap) {
+            // generated from the final text so that lines shifted by the banner are accounted for
+            var map = sourcemap.generate(finalAst, output, this.sourceMap, this.target);
+            output += `\n--# sourceMappingURL=${path.basename(this.sourceMap)}\n`;
+        }
+
+        var time_end = performance.now();
+        this.timing = { resolve: time_resolved - time_start, output: time_end - time_resolved, total: time_end - time_start };
+
+        return { code: output, map: map || null };
+    }
+
+    /**
+     * Parse a script, or reuse its AST from the last build if its contents haven't changed.
+     * The `require()` calls and `package.loaded` assignments are replaced by placeholder nodes
+     * and listed in `sites` in the order they appear, to be resolved by the caller.
+     * @param {LuaScript} script
+     * @returns {{ast: {}, sites: {}[], contents: string, reused: boolean}}
+     */
+    #parseScript(script) {
+        var contents = script.contents;
+        var hash = crypto.createHash("sha1").update(contents).digest("hex");
+        var pluginKeys = plugins.cacheKeys(this.plugins);
+        var defineKey = JSON.stringify(this.define);
+        var externalsKey = this.externals.join(",");
+        var cacheKey = `${this.target.id}:${this.dynamicRequire ? "dynamic" : "static"}:${pluginKeys.join(",")}:${defineKey}:${externalsKey}:${script.path}`;
+        var cached = this.parseCache.get(cacheKey);
+        if (cached && cached.hash == hash) {
+            if (this.debug) console.log("reusing cached ast for " + script.path)
+            return { ast: cached.ast, sites: cached.sites, contents: contents, reused: true };
+        }
+
+        var diskKey = this.diskCache?.key({ path: script.path, target: this.target.id, dynamicRequire: !!this.dynamicRequire, plugins: pluginKeys, define: this.define, externals: this.externals });
+        var stored = this.diskCache?.get(diskKey);
+        if (stored && stored.hash == hash) {
+            if (this.debug) console.log("reusing ast from the disk cache for " + script.path)
+            this.parseCache.set(cacheKey, { hash: hash, ast: stored.ast, sites: stored.sites });
+            return { ast: stored.ast, sites: stored.sites, contents: contents, reused: true };
+        }
+
+        if (this.debug) console.log("!!!!!! parsing ast for " + script.path)
+        var parseOptions = {
+            encodingMode: 'x-user-defined',
+            luaVersion: this.target.luaVersion,
+            scope: true,
+            comments: true,
+            locations: true,
+            ranges: true,
+            // remember where each node came from, for source maps
+            onCreateNode: (node) => {
+                if (node.loc) node.loc.source = script.path;
+            }
+        };
+        var ast, source;
+        try {
+            ({ ast, source } = attributes.parse(luaparse, contents, parseOptions, this.target));
+        } catch (err) {
+            if (!(err instanceof luaparse.SyntaxError)) throw err;
+            let message = err.message.replace(/^\[\d+:\d+\] /, "");
+            throw new OneluaError(ErrorCodes.SYNTAX_ERROR,
+                `Syntax error: ${message} in ${script.path}:${err.line}:${err.column + 1} (target ${this.target.name})`,
+                { file: script.path, line: err.line, column: err.column + 1 });
+        }
+        markParentheses(luaparse, source, ast, parseOptions);
+        ast = plugins.transform(this.plugins, "transformModule", ast, { path: script.path, target: this.target.id });
+        ast = applyDefines(ast, this.define, script.path);
+        var sites = this.#findSites(ast, script);
+        luaprint.attachComments(ast);
+
+        if (this.debug) console.log("-----finished parse ast for " + script.path)
+
+        this.parseCache.set(cacheKey, { hash: hash, ast: ast, sites: sites });
+        this.diskCache?.set(diskKey, { hash: hash, ast: ast, sites: sites });
+        return { ast: ast, sites: sites, contents: contents, reused: false };
+    }
+
+    /**
+     * Replace the `require()` calls and `package.loaded[...]` assignments of a script by placeholder nodes.
+     * Nodes are visited after their children, i.e. in the order they are evaluated.
+     * @param {{}} ast
+     * @param {LuaScript} script
+     * @returns {{}[]} The sites to resolve, in the order they appear
+     */
+    #findSites(ast, script) {
+        var sites = [];
+
+        var createRequire = (module, node) => {
+            let start = node.base.loc?.start;  // nodes added by plugins may have no location
+            if (this.#isExternal(module)) {
+                // left to the require() of the host at runtime
+                sites.push({ type: "external", module: module, line: start?.line ?? null, column: start ? start.column + 1 : null, node: node });
+                return node;
+            }
+            var replacement = {
+                "type": "CallExpression",
+                "base": {
+                    "type": "Identifier",
+                    "name": "__OL__require",
+                    "isLocal": true
+                },
+                "arguments": [
+                    {
+                        "type": "NumericLiteral",
+                        "value": null,
+                        "raw": null
+                    }
+                ]
+            };
+            sites.push({ type: "require", module: module, line: start?.line ?? null, column: start ? start.column + 1 : null, node: replacement });
+            return replacement;
+        };
+
+        var isRequire = (node) => node.base.type == "Identifier" && node.base.name == "require";
+        var nameLocals = findNameLocals(ast);
+
+        var transform = (node, inFunction) => {
+            if (node.type == "StringCallExpression" && isRequire(node)) {
+                // replace ast to point to new module
+                return createRequire(node.argument.value, node);
+            }
+
+            if (node.type == "CallExpression" && isRequire(node)) {
+                let first_arg = node.arguments[0];
+                if (first_arg?.type != "StringLiteral") {
+                    if (!this.dynamicRequire)
+                        throw new OneluaError(ErrorCodes.INVALID_REQUIRE,
+                            `Invalid require: expected require() argument of type StringLiteral, got ${first_arg?.type} in ${script.path}:${node.base.loc?.start.line}`,
+                            { file: script.path, line: node.base.loc?.start.line, column: node.base.loc && node.base.loc.start.column + 1 });
+
+                    // looked up by name at runtime
+                    node.base = {
+                        "type": "Identifier",
+                        "name": "__OL__dynamic_require",
+                        "isLocal": true
+                    };
+                    return node;
+                }
+
+                // replace ast to point to new module
+                return createRequire(first_arg.value, node);
+            }
+
+            // package.loaded[...] or package.loaded[name] with `local name = ...`, where `...` is the module name
+            let index = node.index;
+            let isName = index?.type == "Identifier" && index.isLocal && nameLocals.names.has(index.name);
+            if (node.type == "IndexExpression" && isLoaded(node.base) && (!inFunction && index.type == "VarargLiteral" || isName)) {
+                // replace package.loaded with __OL__cached_packages
+                let start = node.base.loc?.start;
+                let replacement = {
+                    "type": "IndexExpression",
+                    "base": { "type": "Identifier", "name": "__OL__cached_packages", "isLocal": true },
+                    "index": { "type": "NumericLiteral", "value": null, "raw": null }
+                };
+                // `...` can't stand for the name in functions, where the real package.loaded is indexed as it was
+                let original = isName ? { "type": "Identifier", "name": index.name, "isLocal": true } : undefined;
+                sites.push({ type: "export", write: false, index: original, line: start?.line ?? null, column: start ? start.column + 1 : null, node: replacement });
+                return replacement;
+            }
+
+            // package.loaded["name"] or package.loaded.name, a module storing itself if it's the name it's required with
+            let key = node.type == "IndexExpression" && index.type == "StringLiteral" ? index.value
+                : node.type == "MemberExpression" ? node.identifier.name : null;
+            if (key != null && isLoaded(node.base)) {
+                let start = node.base.loc?.start;
+                let original = { "type": "StringLiteral", "value": key, "raw": index?.raw ?? quote(key) };
+                let replacement = { "type": "IndexExpression", "base": node.base, "index": { ...original } };
+                sites.push({ type: "export", write: false, name: key, index: original, line: start?.line ?? null, column: start ? start.column + 1 : null, node: replacement });
+                return replacement;
+            }
+
+            // package.loaded[...] = xx
+            if (node.type == "AssignmentStatement") {
+                node.variables.forEach((variable) => {
+                    let site = sites.find((site) => site.node === variable);
+                    if (site) {
+                        site.write = true;
+                        return;
+                    }
+                    // other indexes write to the real package.loaded, a local taken from `...` may still be the module's name
+                    let index = variable.index;
+                    if (variable.type == "IndexExpression" && isLoaded(variable.base) && index.type == "Identifier" && nameLocals.others.has(index.name)) {
+                        let start = variable.base.loc?.start;
+                        sites.push({ type: "loaded", local: index.name, line: start?.line ?? null, column: start ? start.column + 1 : null, node: variable });
+                    }
+                });
+            }
+            return node;
+        };
+
+        // `package.loaded` or `package["loaded"]`
+        var isLoaded = (node) => node.base?.type == "Identifier" && node.base.name == "package" && (
+            node.type == "MemberExpression" && node.identifier.name == "loaded" ||
+            node.type == "IndexExpression" && node.index.type == "StringLiteral" && node.index.value == "loaded");
+
+        var visit = (node, inFunction) => {
+            if (Array.isArray(node)) {
+                for (let index = 0; index < node.length; index++) {
+                    node[index] = visit(node[index], inFunction);
+                }
+                return node;
+            }
+            if (!node || typeof node != "object" || !node.type) return node;
+            // `...` in functions are their own arguments, not the module name
+            if (node.type == "FunctionDeclaration") inFunction = true;
+            for (const key of Object.keys(node)) {
+                if (key == "loc" || key == "range") continue;
+                node[key] = visit(node[key], inFunction);
+            }
+            return transform(node, inFunction);
+        };
+        ast.body = visit(ast.body);
+
+        return sites;
+    }
+
+
+    /**
+     * @param {LuaScript} script
+     * @param {number} id
+     * @returns {{id: number, path: string, package: string?, version: string?}} The node of the script in the module graph
+     */
+    #graphNode(script, id) {
+        var pkg = script.package ? script.package.packageConfig : this.projectPackage;
+        return {
+            id: id,
+            path: path.relative(process.cwd(), script.path).split(path.sep).join("/"),
+            package: pkg?.name || null,
+            version: pkg?.version || null
+        };
+    }
+
+    /**
+     * List the globals each module reads and writes, failing on those that aren't allowed
+     * @param {{id: number, path: string}[]} modules
+     * @param {{}} mainAst
+     * @param {{}} modulesAst - id: ast
+     * @throws {OneluaError} If a module uses a global that isn't allowed
+     */
+    #checkGlobals(modules, mainAst, modulesAst) {
+        var allowed = new Set([...getPreset(this.checkGlobals === true ? this.target.id : this.checkGlobals), ...this.allowedGlobals]);
+        this.globals = [];
+        modules.forEach((module) => {
+            let ast = module.id == 0 ? mainAst : modulesAst[module.id];
+            collectGlobals(ast).forEach((use) => {
+                this.globals.push({ file: module.path, ...use, allowed: allowed.has(use.name) });
+            });
+        });
+
+        var unexpected = this.globals.filter((use) => !use.allowed);
+        if (!unexpected.length) return;
+        var lines = unexpected.map((use) => `  - ${use.name} ${use.write ? "written" : "read"} in ${use.file}:${use.line}`);
+        throw new OneluaError(ErrorCodes.UNDECLARED_GLOBAL,
+            `Unexpected globals, declare them local or allow them in globals:\n${lines.join("\n")}`,
+            { file: unexpected[0].file, line: unexpected[0].line, column: unexpected[0].column });
+    }
+
+    /**
+     * luamin predates Lua 5.3, and would drop needed parentheses around its operators
+     * @param {{}} finalAst
+     * @throws Throws if the AST has operators luamin can't output
+     */
+    #checkMinifiable(finalAst) {
+        var check = (node) => {
+            if (!node || typeof node != "object") return;
+            if ((node.type == "BinaryExpression" || node.type == "UnaryExpression") &&
+                LUAMIN_UNSUPPORTED_OPERATORS.includes(node.operator)) {
+                let where = node.loc?.source ? ` in ${node.loc.source}:${node.loc.start.line}` : "";
+                throw new OneluaError(ErrorCodes.UNSUPPORTED_OPERATOR,
+                    `Cannot minify: the ${this.target.name} operator '${node.operator}'${where} is not supported by luamin, build with --no-minify instead`,
+                    { file: node.loc?.source, line: node.loc?.start.line, column: node.loc && node.loc.start.column + 1 });
+            }
+            if (node.type == "Identifier" && node.attribute) {
+                let where = node.loc?.source ? ` in ${node.loc.source}:${node.loc.start.line}` : "";
+                throw new OneluaError(ErrorCodes.UNSUPPORTED_OPERATOR,
+                    `Cannot minify: the ${this.target.name} attribute <${node.attribute}>${where} is not supported by luamin, build with --no-minify instead`,
+                    { file: node.loc?.source, line: node.loc?.start.line, column: node.loc && node.loc.start.column + 1 });
+            }
+            Object.keys(node).forEach((key) => {
+                if (key != "loc" && key != "range") check(node[key]);
+            });
+        };
+        check(finalAst.body);
+    }
+
+    /**
+     * Warn of, or fail on, the packages bundled several times, and warn of the versions deduped
+     * @param {Map<string, Map<string, {path: string, module: string, line: number?}[][]>>} packages - name: directory: require() chains
+     * @param {Map<string, Map<string, {path: string, module: string, line: number?}[][]>>} deduped - name: directory of a
+     * version replaced by the one bundled: require() chains
+     */
+    #checkDuplicates(packages, deduped) {
+        var relative = (file) => path.relative(process.cwd(), file).split(path.sep).join("/");
+        var describe = (dirs) => [...dirs].map(([dir, chains]) => {
+            let version = require(path.join(dir, "package.json")).version || "(no version)";
+            let requiredBy = chains.map((chain) => "      " + chain.map((hop) => `${relative(hop.path)}:${hop.line} requires "${hop.module}"`).join(" > "));
+            return `  - ${version} in ${relative(dir)}, required by:\n${requiredBy.join("\n")}`;
+        });
+        packages.forEach((dirs, name) => {
+            if (dirs.size < 2) return;
+            let message = `Package "${name}" is bundled ${dirs.size} times, each with its own state:\n${describe(dirs).join("\n")}`;
+            if (this.duplicates == "error")
+                throw new OneluaError(ErrorCodes.DUPLICATE_PACKAGE, message + `\nSet "duplicates": "dedupe" in package.json to bundle one of them`);
+            this.#warn("DUPLICATE_PACKAGE", message);
+        });
+        // the version bundled may not be the one a package asked for
+        deduped.forEach((dirs, name) => {
+            let pinned = this.pinnedPackages.get(name);
+            let version = require(path.join(pinned, "package.json")).version || "(no version)";
+            this.#warn("DUPLICATE_PACKAGE",
+                `Package "${name}" is bundled once, at ${version} in ${relative(pinned)}, instead of:\n${describe(dirs).join("\n")}`);
+        });
+    }
+
+    /**
+     * Pick the version of a package that is bundled, with `duplicates: 'dedupe'`
+     * @param {string} name - Package name
+     * @param {string} dir - Directory of the version being required
+     * @returns {string} Directory of the version to bundle: the one installed for the project, else the first one required
+     */
+    #pinPackage(name, dir) {
+        if (!this.pinnedPackages.has(name)) {
+            let installed = null;
+            try {
+                installed = path.dirname(fs.realpathSync(resolver(name + "/package.json", { basedir: this.entryScript.baseDir, includeCoreModules: false })));
+            } catch (e) { if (this.debug) console.error(e) }
+            this.pinnedPackages.set(name, installed || dir);
+        }
+        return this.pinnedPackages.get(name);
+    }
+
+    /**
+     * @param {string} module - Module name
+     * @returns {boolean} Whether the module is provided by the host, rather than bundled
+     */
+    #isExternal(module) {
+        return this.externals.some((pattern) => module == pattern || glob.isGlob(pattern) && glob.toRegExp(pattern, ".").test(module));
+    }
 
-        return this.minify ? luamin.minify(finalAst) : luaprint(finalAst);
+    /**
+     * Expand the globs in the modules to include
+     * @returns {string[]} Module names, relative to the entry script
+     */
+    #expandIncludes() {
+        var modules = [];
+        this.include.forEach((pattern) => {
+            if (pattern.endsWith(".lua") || pattern.includes("/")) {
+                // a path glob, e.g. "plugins/*.lua"
+                glob.find(pattern, this.entryScript.baseDir).forEach((file) => {
+                    modules.push(file.replace(/\.lua$/, "").replace(/\//g, "."));
+                });
+            } else if (glob.isGlob(pattern)) {
+                // a module name glob, e.g. "plugins.*"
+                glob.find(pattern.replace(/\./g, "/") + ".lua", this.entryScript.baseDir).forEach((file) => {
+                    modules.push(file.replace(/\.lua$/, "").replace(/\//g, "."));
+                });
+            } else {
+                modules.push(pattern);
+            }
+        });
+        return modules;
     }
 
+    /**
+     * Fill in the `__OL__lines` table of a debug bundle, now that the line of each statement is known.
+     * The table is assigned at the end of the bundle so that its size doesn't shift any line.
+     * @param {{}} finalAst
+     * @param {string} output
+     * @param {{}} modulesIds - path: id
+     * @returns {string}
+     */
+    #fillDebugLines(finalAst, output, modulesIds) {
+        var lines = {};
+        sourcemap.collect(finalAst, output, this.target).forEach((mapping) => {
+            if (mapping.generatedLine in lines) return;
+            lines[mapping.generatedLine] = `[${mapping.generatedLine}] = {${modulesIds[mapping.source]}, ${mapping.originalLine}}`;
+        });
+
+        var placeholder = "\n__OL__lines = {}\n";
+        var index = output.lastIndexOf(placeholder);
+        return output.slice(0, index) +
+            `\n__OL__lines = {${Object.values(lines).join(", ")}}\n` +
+            output.slice(index + placeholder.length);
+    }
 
     /**
      * Get the associated LuaScript from this context
      * @param {LuaScript} base_script - The script that is including the module
      * @param {string} module - Module name
+     * @param {string[]} [tried] - Filled with the places searched, for the error if it isn't found
+     * @param {{name: string, dir: string}[]} [replaced] - Filled with the package it resolved to, if another version
+     * of it is bundled instead with `duplicates: 'dedupe'`
      * @returns {LuaScript?}
      */
-    #getRequiredModule(base_script, module) {
+    #getRequiredModule(base_script, module, tried = [], replaced = []) {
         var base_dir = base_script.baseDir;
-        /* first convert . to / */
-        module = module.replace(/\./g, "/");
+        /* plugins come first */
+        var resolved = plugins.resolve(this.plugins, module, base_script.path);
+        if (resolved) {
+            if (!fs.existsSync(resolved)) {
+                tried.push(`no file '${resolved}'`);
+                return null;
+            }
+            return new LuaScript(resolved, base_script.package, findLoader(this.loaders, path.basename(resolved))?.name);
+        }
 
-        var script_path = null;
-        if (this.debug) console.log(module + ".lua")
+        /* files that aren't Lua scripts keep their extension, e.g. data.maps.json is data/maps.json */
+        var loader = findLoader(this.loaders, module);
+        var extension = loader ? loader.extension : ".lua";
+        if (loader) module = module.slice(0, -extension.length);
 
-        /* next, find the module relative to the baseDir */
-        script_path = path.join(base_dir, module + ".lua");
-        if (fs.existsSync(script_path))
-            return new LuaScript(script_path, base_script.package); // same pkg
+        /* files that aren't Lua scripts are only searched with their extension */
+        var templates = loader ? ["?" + extension]
+            : base_script.package ? parsePath(base_script.package.packageConfig.onelua.path) : this.searchPath;
+        var found = (files, pkg) => {
+            let script_path = files.find((file) => {
+                if (fs.existsSync(file)) return true;
+                tried.push(`no file '${file}'`);
+                return false;
+            });
+            return script_path ? new LuaScript(script_path, pkg, loader?.name) : null;
+        };
 
-        /* then find the module relative to the script's main dir */
-        if (base_script.package) {
-            script_path = path.join(base_script.package.mainDir, module + ".lua");
-            if (fs.existsSync(script_path))
-                return new LuaScript(script_path, base_script.package); // same pkg
-        } else {
-            // entry script?
-            var entry_dir = this.entryScript.baseDir;
-            script_path = path.join(entry_dir, module + ".lua");
-            if (fs.existsSync(script_path))
-                return new LuaScript(script_path, null);
+        /* aliases of the package the script is in */
+        var [aliases, aliasDir] = base_script.package
+            ? [base_script.package.packageConfig.onelua.alias || {}, base_script.package.packageDir]
+            : [this.alias, this.aliasDir];
+        var alias = Object.keys(aliases)
+            .sort((a, b) => b.length - a.length)
+            .find((name) => module == name || module.startsWith(name + "."));
+        if (alias) {
+            // e.g. "@core.events" is src/core/events.lua, and "utils" lib/shared/utils.lua
+            let rest = module.slice(alias.length + 1).replace(/\./g, "/");
+            let name = rest ? path.join(aliases[alias], rest) : aliases[alias];
+            return found(searchFiles(templates, [aliasDir], name), base_script.package);
         }
 
-        /* finally, find the module installed with npm */
-        //console.dir(require.resolve.paths(module))
-        let nodeModPath = null;
-        /** @type {string?} */
-        let pkgPath
+        /* first convert . to / */
+        module = module.replace(/\./g, "/");
+        if (this.debug) console.log(module, templates)
+
+        /* next, find the module relative to the baseDir, then relative to the script's main dir */
+        var dirs = [base_dir, base_script.package ? base_script.package.mainDir : this.entryScript.baseDir];
+        var script = found(searchFiles(templates, dirs, module), base_script.package); // same pkg
+        if (script)
+            return script;
+
+        /* finally, find the module in the npm package its name starts with, e.g. "somepkg.submodule" */
+        var segments = module.split("/");
+        var pkgName = segments.slice(0, module.startsWith("@") ? 2 : 1).join("/");  // e.g. @scope/pkg
+        var subpath = segments.slice(pkgName.split("/").length).join("/");
+        let pkgJsonPath = null;
         try {
-            nodeModPath = resolver(module, {
-                basedir: base_dir,
-                extensions: [".lua"],
-                includeCoreModules: false,
-                // "(Note: the second argument will change to "pkgfile" in v2)"
-                packageFilter: (pkgJson, pkgDir) => {
-                    pkgPath = pkgDir
-                    // edit pkg json to search onelua main
-                    pkgJson["main"] = pkgJson["onelua"]["main"]
-                    return pkgJson
-                }
-            });
+            pkgJsonPath = resolver(pkgName + "/package.json", { basedir: base_dir, includeCoreModules: false });
         } catch (e) { if (this.debug) console.error(e) }
 
-        if (this.debug) console.debug(module, nodeModPath, pkgPath)
-        if (!nodeModPath)
+        if (this.debug) console.debug(module, pkgJsonPath)
+        if (!pkgJsonPath) {
+            tried.push(`no npm package '${pkgName}' from '${base_dir}'`);
             return null;
+        }
+        pkgJsonPath = fs.realpathSync(pkgJsonPath);
+        var pkgDir = path.dirname(pkgJsonPath);
+        var pkgConfig = require(pkgJsonPath);
+        if (this.duplicates == "dedupe" && pkgConfig.name) {
+            let pinned = this.#pinPackage(pkgConfig.name, pkgDir);
+            if (pinned != pkgDir) {
+                if (this.debug) console.log(`using ${pinned} instead of ${pkgDir}`);
+                replaced.push({ name: pkgConfig.name, dir: pkgDir });
+                pkgDir = pinned;
+                pkgJsonPath = path.join(pkgDir, "package.json");
+                pkgConfig = require(pkgJsonPath);
+            }
+        }
+        if (!pkgConfig.onelua || !pkgConfig.onelua.main) {
+            tried.push(`npm package '${pkgName}' at '${pkgDir}' is not a onelua package (its package.json has no "onelua" section with a "main" script)`);
+            return null;
+        }
+        var pkg = LuaPackage.fromPackageJson(pkgJsonPath);
+        if (!pkg) {
+            tried.push(`no file '${path.resolve(pkgDir, pkgConfig.onelua.main)}' (main script of npm package '${pkgName}')`);
+            return null;
+        }
 
-        var pkg = LuaPackage.fromPackageJson(path.join(pkgPath, "/package.json"));
-        if (!pkg)
-            return null;  // invalid OL package
+        var pkgExports = pkgConfig.onelua.exports;
+        if (pkgExports == null) {
+            /* every script of a package without exports can be required, relative to its package.json */
+            if (!subpath && !loader)
+                return new LuaScript(pkg.mainScriptPath, pkg);
+            let pkgTemplates = loader ? templates : parsePath(pkgConfig.onelua.path);
+            return found(searchFiles(pkgTemplates, [pkgDir], subpath), pkg);
+        }
 
-        return new LuaScript(nodeModPath, pkg);
+        /* otherwise only the ones it exports, e.g. "./submodule" */
+        var key = subpath ? "./" + subpath + (loader ? extension : "") : ".";
+        var target = findExport(pkgExports, key);
+        if (target == null) {
+            tried.push(`'${key}' is not exported by npm package '${pkgName}' at '${pkgDir}'`);
+            return null;
+        }
+        return found([path.resolve(pkgDir, target)], pkg);
     }
 
-    #createFinalAst(modulesIds, modulesAst, mainAst) {
+    #createFinalAst(modulesIds, modulesAst, mainAst, registry, preloadNames) {
         var finalAst = {
             "type": "Chunk",
-            "body": [
-                {
-                    "type": "LocalStatement",
-                    "variables": [
-                        {
-                            "type": "Identifier",
-                            "name": "__OL__require",
-                            "isLocal": true
-                        }
-                    ],
-                    "init": []
-                }
-            ],
+            "body": [],
             "comments": [],
             "globals": []
         };
+        if (!this.preload) {
+            finalAst.body.push({
+                "type": "LocalStatement",
+                "variables": [
+                    {
+                        "type": "Identifier",
+                        "name": "__OL__require",
+                        "isLocal": true
+                    }
+                ],
+                "init": []
+            });
+        }
 
         /* ast utils */
-        var createRequireDef = (key, ast) => {
+        var pushRuntime = (source) => {
+            var chunk = parseRuntime(source);
+            finalAst.body.push(...chunk.body);
+            finalAst.globals.push(...chunk.globals);  // keep luamin from reusing their names
+        }
+
+        var createModuleFunction = (ast, varargs) => {
+            return {
+                "type": "FunctionDeclaration",
+                "identifier": null,
+                "isLocal": false,
+                "parameters": varargs ? [{ "type": "VarargLiteral", "value": "...", "raw": "..." }] : [],
+                "body": ast.body,
+                "innerComments": ast.innerComments,
+                // points to the start of the module, for source maps and debug bundles
+                "loc": ast.loc
+            };
+        }
+
+        var createRequireDef = (key, ast, varargs) => {
             return {
                 "type": "AssignmentStatement",
                 "variables": [
@@ -383,193 +1425,182 @@ class OLProcessor {
                     }
                 ],
                 "init": [
-                    {
-                        "type": "FunctionDeclaration",
-                        "identifier": null,
-                        "isLocal": false,
-                        "parameters": [
+                    createModuleFunction(ast, varargs)
+                ]
+            }
+        }
 
-                        ],
-                        "body": ast
+        /* package.preload["name"] = function(...) ... end */
+        var createPreloadDef = (name, ast, varargs) => {
+            // __OL__call(function(...) ... end, ...) remaps the errors it raises
+            var chunk = parseRuntime(this.debugBundle
+                ? `package.preload[${quote(name)}] = function(...)\nreturn __OL__call(nil, ...)\nend`
+                : `package.preload[${quote(name)}] = nil`);
+            finalAst.globals.push(...chunk.globals);
+            var statement = chunk.body[0];
+            if (this.debugBundle)
+                statement.init[0].body[0].arguments[0].arguments[0] = createModuleFunction(ast, varargs);
+            else
+                statement.init[0] = createModuleFunction(ast, varargs);
+            return statement;
+        }
+
+        if (this.debugBundle) {
+            /* map module ids to their paths, relative to where the build is run */
+            let paths = Object.keys(modulesIds).map((script_path) => {
+                let relative = path.relative(process.cwd(), script_path).split(path.sep).join("/");
+                return `[${modulesIds[script_path]}] = ${JSON.stringify(relative)}`;
+            });
+            pushRuntime(`local __OL__paths = {${paths.join(", ")}}` + DEBUG_RUNTIME);
+        }
+
+        if (this.preload) {
+            /* register the modules in package.preload, where the global require() finds them */
+            if (this.dynamicRequire)
+                pushRuntime(`local __OL__dynamic_require = require`);
+            Object.keys(modulesAst).forEach((id) => {
+                finalAst.body.push(createPreloadDef(preloadNames[id], modulesAst[id], usesVarargs(modulesAst[id])));
+                finalAst.globals.push(...modulesAst[id].globals);  // extend globals
+            });
+            // the other names of a module get the same instance
+            Object.keys(registry).forEach((name) => {
+                let preloadName = preloadNames[registry[name]];
+                if (name != preloadName)
+                    pushRuntime(`package.preload[${quote(name)}] = function()\nreturn require(${quote(preloadName)})\nend`);
+            });
+        } else {
+            /* define packages */
+            finalAst.body.push({
+                "type": "LocalStatement",
+                "variables": [
+                    {
+                        "type": "Identifier",
+                        "name": "__OL__packages",
+                        "isLocal": true
+                    }
+                ],
+                "init": [
+                    {
+                        "type": "TableConstructorExpression",
+                        "fields": []
                     }
                 ]
+            });
+            finalAst.body.push({
+                "type": "LocalStatement",
+                "variables": [
+                    {
+                        "type": "Identifier",
+                        "name": "__OL__cached_packages",
+                        "isLocal": true
+                    }
+                ],
+                "init": [
+                    {
+                        "type": "TableConstructorExpression",
+                        "fields": []
+                    }
+                ]
+            });
+
+            if (this.dynamicRequire) {
+                let names = Object.keys(registry).map((name) => `[${JSON.stringify(name)}] = ${registry[name]}`);
+                pushRuntime(`local __OL__registry = {${names.join(", ")}}` + DYNAMIC_REQUIRE_RUNTIME);
             }
-        }
 
-        /* define packages */
-        finalAst.body.push({
-            "type": "LocalStatement",
-            "variables": [
-                {
-                    "type": "Identifier",
-                    "name": "__OL__packages",
-                    "isLocal": true
-                }
-            ],
-            "init": [
-                {
-                    "type": "TableConstructorExpression",
-                    "fields": []
-                }
-            ]
-        });
-        finalAst.body.push({
-            "type": "LocalStatement",
-            "variables": [
-                {
-                    "type": "Identifier",
-                    "name": "__OL__cached_packages",
-                    "isLocal": true
-                }
-            ],
-            "init": [
-                {
-                    "type": "TableConstructorExpression",
-                    "fields": []
-                }
-            ]
-        });
+            if (this.circular)
+                pushRuntime(`local __OL__loading = {}`);
 
-        Object.keys(modulesAst).forEach((id) => {
-            finalAst.body.push(createRequireDef(id, modulesAst[id].body));
-            finalAst.globals.push(...modulesAst[id].globals);  // extend globals
-        });
+            /*
+             * the modules using `...` get the name they're required with, and from 5.2 on the file they're in,
+             * as found relative to the entry script. 5.4's require() also returns the file.
+             */
+            var varargIds = Object.keys(modulesAst).filter((id) => usesVarargs(modulesAst[id]));
+            var passFile = !["5.1", "luajit"].includes(this.target.id);
+            var returnFile = this.target.id == "5.4";
+            var fileIds = returnFile ? Object.keys(modulesAst) : passFile ? varargIds : [];
+            if (varargIds.length) {
+                let names = {};
+                Object.keys(registry).forEach((name) => {
+                    if (!(registry[name] in names)) names[registry[name]] = name;
+                });
+                pushRuntime(`local __OL__names = {${varargIds.map((id) => `[${id}] = ${JSON.stringify(names[id])}`).join(", ")}}`);
+            }
+            if (fileIds.length) {
+                let files = {};
+                Object.keys(modulesIds).forEach((script_path) => {
+                    let relative = path.relative(this.entryScript.baseDir, script_path).split(path.sep).join("/");
+                    files[modulesIds[script_path]] = relative.startsWith("../") ? relative : "./" + relative;
+                });
+                pushRuntime(`local __OL__files = {${fileIds.map((id) => `[${id}] = ${JSON.stringify(files[id])}`).join(", ")}}`);
+            }
 
-        /* define One-lua require() function */
-        finalAst.body.push({
-            "type": "AssignmentStatement",
-            "variables": [
-                {
-                    "type": "Identifier",
-                    "name": "__OL__require",
-                    "isLocal": true
-                }
-            ],
-            "init": [
-                {
-                    "type": "FunctionDeclaration",
-                    "identifier": null,
-                    "isLocal": false,
-                    "parameters": [
-                        {
-                            "type": "Identifier",
-                            "name": "id",
-                            "isLocal": true
-                        }
-                    ],
-                    "body": [
-                        {
-                            "type": "IfStatement",
-                            "clauses": [
-                                {
-                                    "type": "IfClause",
-                                    "condition": {
-                                        "type": "IndexExpression",
-                                        "base": {
-                                            "type": "Identifier",
-                                            "name": "__OL__cached_packages",
-                                            "isLocal": true
-                                        },
-                                        "index": {
-                                            "type": "Identifier",
-                                            "name": "id",
-                                            "isLocal": true
-                                        }
-                                    },
-                                    "body": [
-                                        {
-                                            "type": "ReturnStatement",
-                                            "arguments": [
-                                                {
-                                                    "type": "IndexExpression",
-                                                    "base": {
-                                                        "type": "Identifier",
-                                                        "name": "__OL__cached_packages",
-                                                        "isLocal": true
-                                                    },
-                                                    "index": {
-                                                        "type": "Identifier",
-                                                        "name": "id",
-                                                        "isLocal": true
-                                                    }
-                                                }
-                                            ]
-                                        }
-                                    ]
-                                }
-                            ]
-                        },
-                        {
-                            "type": "LocalStatement",
-                            "variables": [
-                                {
-                                    "type": "Identifier",
-                                    "name": "package",
-                                    "isLocal": true
-                                }
-                            ],
-                            "init": [
-                                {
-                                    "type": "CallExpression",
-                                    "base": {
-                                        "type": "IndexExpression",
-                                        "base": {
-                                            "type": "Identifier",
-                                            "name": "__OL__packages",
-                                            "isLocal": true
-                                        },
-                                        "index": {
-                                            "type": "Identifier",
-                                            "name": "id",
-                                            "isLocal": true
-                                        }
-                                    },
-                                    "arguments": []
-                                }
-                            ]
-                        },
-                        {
-                            "type": "AssignmentStatement",
-                            "variables": [
-                                {
-                                    "type": "IndexExpression",
-                                    "base": {
-                                        "type": "Identifier",
-                                        "name": "__OL__cached_packages",
-                                        "isLocal": true
-                                    },
-                                    "index": {
-                                        "type": "Identifier",
-                                        "name": "id",
-                                        "isLocal": true
-                                    }
-                                }
-                            ],
-                            "init": [
-                                {
-                                    "type": "Identifier",
-                                    "name": "package",
-                                    "isLocal": true
-                                }
-                            ]
-                        },
-                        {
-                            "type": "ReturnStatement",
-                            "arguments": [
-                                {
-                                    "type": "Identifier",
-                                    "name": "package",
-                                    "isLocal": true
-                                }
-                            ]
-                        }
-                    ]
-                }
-            ]
-        });
+            Object.keys(modulesAst).forEach((id) => {
+                finalAst.body.push(createRequireDef(id, modulesAst[id], varargIds.includes(id)));
+                finalAst.globals.push(...modulesAst[id].globals);  // extend globals
+            });
+
+            /* define One-lua require() function, with the contract of Lua's require() */
+            var args = [];
+            if (varargIds.length) {
+                args.push("__OL__names[id]");
+                if (passFile) args.push("__OL__files[id]");
+            }
+            // __OL__call(__OL__packages[id], ...) remaps the errors it raises
+            var callModule = this.debugBundle
+                ? `__OL__call(${["__OL__packages[id]", ...args].join(", ")})`
+                : `__OL__packages[id](${args.join(", ")})`;
+            // a module required again while it's loading gets what it stored in package.loaded so far
+            var guard = this.circular ? "    if __OL__loading[id] then\n        return __OL__cached_packages[id]\n    end\n    __OL__loading[id] = true\n" : "";
+            var done = this.circular ? "    __OL__loading[id] = nil\n" : "";
+            // modules returning nothing keep what they stored in package.loaded, else true
+            pushRuntime(`__OL__require = function(id)
+    if __OL__cached_packages[id] then
+        return __OL__cached_packages[id]
+    end
+${guard}    local package = ${callModule}
+${done}    if package == nil then
+        package = __OL__cached_packages[id]
+    end
+    if package == nil then
+        package = true
+    end
+    __OL__cached_packages[id] = package
+    return package${returnFile ? ", __OL__files[id]" : ""}
+end`);
+        }
 
         /* add main */
-        finalAst.body.push(...mainAst.body);  // extend body
+        if (this.debugBundle) {
+            // run main through __OL__call too, __OL__lines is filled in once the output is printed
+            finalAst.body.push({
+                "type": "LocalStatement",
+                "variables": [
+                    {
+                        "type": "Identifier",
+                        "name": "__OL__main",
+                        "isLocal": true
+                    }
+                ],
+                "init": [
+                    {
+                        "type": "FunctionDeclaration",
+                        "identifier": null,
+                        "isLocal": false,
+                        "parameters": [
+                            { "type": "VarargLiteral", "value": "...", "raw": "..." }
+                        ],
+                        "body": mainAst.body,
+                        "innerComments": mainAst.innerComments,
+                        "loc": mainAst.loc
+                    }
+                ]
+            });
+            pushRuntime(`__OL__lines = {}\nreturn __OL__call(__OL__main, ...)`);
+        } else {
+            finalAst.body.push(...mainAst.body);  // extend body
+            finalAst.innerComments = mainAst.innerComments;
+        }
         finalAst.globals.push(...mainAst.globals);  // extend globals
 
         if (this.debug) console.dir(JSON.stringify(finalAst))
@@ -588,4 +1619,29 @@ module.exports = {
     process: (entry, options) => {
         return new OLProcessor(entry, options).process();
     },
+
+    /**
+     * Bundle a Lua script with every module it requires
+     * @param {string} entry - Path to the entry Lua script
+     * @param {{}} options
+     * @returns {Promise<BuildResult>}
+     * @throws {OneluaError}
+     */
+    build: async (entry, options) => {
+        return new OLProcessor(entry, options || {}).build();
+    },
+
+    /**
+     * Create a processor that can be built repeatedly, reusing the ASTs of unchanged scripts
+     * @param {string} entry - Absolute path to the Lua script or project directory
+     * @param {{}} options
+     * @returns {OLProcessor}
+     * @throws Throws on any error
+     */
+    createProcessor: (entry, options) => {
+        return new OLProcessor(entry, options);
+    },
+
+    OneluaError: OneluaError,
+    ErrorCodes: ErrorCodes,
 };
@@ -0,0 +1,96 @@
+/*
+ * parens.js
+ *
+ * luaparse 0.3 no longer flags parenthesized expressions, yet parentheses change the meaning of
+ * `(f())` and `(...)` (truncated to one value) and are needed around e.g. `("%d"):format(1)`.
+ * Recover them from the tokens around each expression, setting `inParens` like luaparse 0.2 did.
+ */
+
+/**
+ * @param {{}} luaparse - The luaparse instance to lex with
+ * @param {string} source
+ * @param {{}} options - The options the source was parsed with
+ * @returns {{}[]} The tokens of the source
+ */
+function tokenize(luaparse, source, options) {
+    // shebangs are skipped by the parser, but not the lexer
+    if (source.substr(0, 2) === '#!') source = source.replace(/^.*/, function(line) {
+        return line.replace(/./g, ' ');
+    });
+
+    var lexOptions = { wait: true, comments: false };
+    if (options.luaVersion) lexOptions.luaVersion = options.luaVersion;
+    if (options.encodingMode) lexOptions.encodingMode = options.encodingMode;
+    luaparse.parse(source, lexOptions);
+    luaparse.write('');
+
+    var tokens = [];
+    for (;;) {
+        var token = luaparse.lex();
+        if (token.type == luaparse.tokenTypes.EOF) break;
+        tokens.push(token);
+    }
+    return tokens;
+}
+
+/**
+ * Set `inParens` on every expression of the AST wrapped in parentheses
+ * @param {{}} luaparse - The luaparse instance the AST was parsed with
+ * @param {string} source
+ * @param {{}} ast - AST parsed with `ranges: true`
+ * @param {{}} options - The options the source was parsed with
+ */
+function markParentheses(luaparse, source, ast, options) {
+    var tokens = tokenize(luaparse, source, options);
+    var Punctuator = luaparse.tokenTypes.Punctuator;
+    var Identifier = luaparse.tokenTypes.Identifier;
+    var StringLiteral = luaparse.tokenTypes.StringLiteral;
+
+    var byStart = {};
+    var byEnd = {};
+    tokens.forEach(function(token, index) {
+        byStart[token.range[0]] = index;
+        byEnd[token.range[1]] = index;
+    });
+
+    var isPunctuator = function(token, value) {
+        return token && token.type == Punctuator && token.value == value;
+    };
+
+    // whether the `(` at this index opens a group rather than the arguments of a call
+    var opensGroup = function(index) {
+        var previous = tokens[index - 1];
+        if (!previous) return true;
+        if (previous.type == Identifier || previous.type == StringLiteral) return false;
+        return !(previous.type == Punctuator && [')', ']', '}'].indexOf(previous.value) >= 0);
+    };
+
+    var walk = function(node) {
+        if (!node || typeof node != 'object') return;
+        if (Array.isArray(node)) {
+            node.forEach(walk);
+            return;
+        }
+
+        if (node.range && /(Expression|Literal|Identifier)$/.test(node.type)) {
+            var first = byStart[node.range[0]];
+            var last = byEnd[node.range[1]];
+            if (first !== undefined && last !== undefined &&
+                isPunctuator(tokens[first - 1], '(') && isPunctuator(tokens[last + 1], ')') &&
+                opensGroup(first - 1)) {
+                node.inParens = true;
+            }
+        }
+
+        Object.keys(node).forEach(function(key) {
+            if (key == 'loc' || key == 'range' || key == 'globals' || key == 'comments') return;
+            walk(node[key]);
+        });
+    };
+    walk(ast.body);
+}
+
+module.exports = {
+    tokenize: tokenize,
+    markParentheses: markParentheses,
+};
@@ -0,0 +1,170 @@
+/*
+ * plugins.js
+ *
+ * Plugins hook into a build to resolve modules and transform ASTs. A plugin is an object with a `name` and any of:
+ * - `resolve(module, importer)`: the path of a required module, or null to resolve it as usual
+ * - `transformModule(ast, context)`: transform the AST of a module after it's parsed, before its requires are resolved
+ * - `transformBundle(ast, context)`: transform the final AST before it's output
+ * Transforms edit the AST in place, or return a new one.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { OneluaError, ErrorCodes } = require("./errors");
+
+/**
+ * Load the plugins listed in package.json
+ * @param {(string|[string, {}])[]} [specs] - Module names or paths, with the options to call them with if they export a function
+ * @param {string} baseDir - Directory the module names and paths are resolved from
+ * @returns {{}[]} The plugins, with the `options` they were created with and the `fileHash` of their module
+ * @throws {OneluaError} If a plugin can't be loaded
+ */
+function loadPlugins(specs, baseDir) {
+    return (specs || []).map(function(spec) {
+        var [name, options] = Array.isArray(spec) ? spec : [spec, {}];
+        var plugin, fileHash;
+        try {
+            var modulePath = require.resolve(name, { paths: [baseDir] });
+            plugin = require(modulePath);
+            // so that editing a plugin invalidates what it transformed, even if its version stays the same
+            fileHash = crypto.createHash('sha1').update(fs.readFileSync(modulePath)).digest('hex');
+        } catch (e) {
+            throw new OneluaError(ErrorCodes.PLUGIN_ERROR, `Plugin "${name}" could not be loaded: ${e.message}`);
+        }
+        if (typeof plugin == 'function') plugin = plugin(options || {});
+        if (!plugin || typeof plugin != 'object')
+            throw new OneluaError(ErrorCodes.PLUGIN_ERROR, `Plugin "${name}" must export an object or a function returning one`);
+        return { name: name, options: options || {}, fileHash: fileHash, ...plugin };
+    });
+}
+
+/**
+ * Call a plugin's hook, reporting what it throws with the plugin's name and where in the Lua sources it happened.
+ * Plugins can throw errors with a `node` to point to, e.g. with `context.error(message, node)`.
+ * @param {{name: string}} plugin
+ * @param {string} hook
+ * @param {*[]} args
+ * @param {string?} [file] - Script being processed, for errors on nodes that don't carry their source
+ * @returns {*} What the hook returns
+ */
+function callHook(plugin, hook, args, file) {
+    try {
+        return plugin[hook].apply(plugin, args);
+    } catch (e) {
+        if (e instanceof OneluaError) throw e;
+        var loc = e && e.node && e.node.loc;
+        var source = loc && loc.source || file || null;
+        var where = source ? ` in ${source}` + (loc ? `:${loc.start.line}:${loc.start.column + 1}` : '') : '';
+        var message = e && e.message || String(e);
+        throw new OneluaError(ErrorCodes.PLUGIN_ERROR, `Plugin "${plugin.name}" failed in ${hook}: ${message}${where}`, {
+            file: source,
+            line: loc ? loc.start.line : null,
+            column: loc ? loc.start.column + 1 : null
+        });
+    }
+}
+
+/**
+ * Create the context passed to transforms
+ * @param {{}} fields - e.g. the path of the module
+ * @returns {{error: (message: string, node?: {}) => never}}
+ */
+function createContext(fields) {
+    return {
+        ...fields,
+        /**
+         * Fail the build at a node
+         * @param {string} message
+         * @param {{}} [node]
+         */
+        error: function(message, node) {
+            var error = new Error(message);
+            error.node = node;
+            throw error;
+        }
+    };
+}
+
+/**
+ * Resolve a required module through the plugins
+ * @param {{}[]} plugins
+ * @param {string} module - Module name, e.g. "lib.util"
+ * @param {string} importer - Path of the script requiring it
+ * @returns {string?} Absolute path of the module, or null if no plugin resolved it
+ */
+function resolve(plugins, module, importer) {
+    for (const plugin of plugins) {
+        if (!plugin.resolve) continue;
+        var resolved = callHook(plugin, 'resolve', [module, importer], importer);
+        if (resolved)
+            return path.resolve(path.dirname(importer), resolved);
+    }
+    return null;
+}
+
+/**
+ * Run an AST through the transforms of the plugins
+ * @param {{}[]} plugins
+ * @param {string} hook - transformModule or transformBundle
+ * @param {{}} ast
+ * @param {{}} fields - What the context tells the transforms
+ * @returns {{}} The transformed AST
+ */
+function transform(plugins, hook, ast, fields) {
+    var context = createContext(fields);
+    plugins.forEach(function(plugin) {
+        if (!plugin[hook]) return;
+        ast = callHook(plugin, hook, [ast, context], fields.path) || ast;
+    });
+    return ast;
+}
+
+/**
+ * Serialize a value as JSON with its object keys sorted, so that equal options always give the same string
+ * @param {*} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+    return JSON.stringify(value, function(key, value) {
+        if (!value || typeof value != 'object' || Array.isArray(value)) return value;
+        var sorted = {};
+        Object.keys(value).sort().forEach(function(key) {
+            sorted[key] = value[key];
+        });
+        return sorted;
+    }) || '';
+}
+
+/**
+ * @param {{}[]} plugins
+ * @returns {string[]} What identifies the plugins in cache keys, their names, versions, and hashes of their options
+ * and of their module
+ */
+function cacheKeys(plugins) {
+    return plugins.filter(function(plugin) {
+        return plugin.transformModule;
+    }).map(function(plugin) {
+        var options = crypto.createHash('sha1').update(stableStringify(plugin.options)).digest('hex');
+        return plugin.name + '@' + (plugin.version || '') + '#' + options + '#' + (plugin.fileHash || '');
+    });
+}
+
+/**
+ * @param {{}[]} plugins
+ * @returns {boolean} Whether what the plugins transform can be kept across runs, i.e. every plugin transforming
+ * modules has a version or a known module
+ */
+function isCacheable(plugins) {
+    return plugins.every(function(plugin) {
+        return !plugin.transformModule || plugin.version || plugin.fileHash;
+    });
+}
+
+module.exports = {
+    loadPlugins: loadPlugins,
+    resolve: resolve,
+    transform: transform,
+    cacheKeys: cacheKeys,
+    isCacheable: isCacheable,
+};
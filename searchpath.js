@@ -0,0 +1,55 @@
+/*
+ * searchpath.js
+ *
+ * Search templates of Lua modules, following the semantics of Lua's `package.path`:
+ * templates separated by `;`, in which `?` is replaced by the module name with its dots turned into `/`.
+ */
+
+const path = require("path");
+const { OneluaError, ErrorCodes } = require("./errors");
+
+/** Templates used unless package.json or the command line configure them otherwise */
+const DEFAULT_PATH = "?.lua;?/init.lua";
+
+/**
+ * Parse search templates
+ * @param {(string|string[])?} [config] - e.g. "?.lua;?/init.lua", where `;;` stands for the default templates
+ * @returns {string[]} The templates, in the order they are tried
+ * @throws {OneluaError} If a template has no `?`
+ */
+function parsePath(config) {
+    if (config == null) config = DEFAULT_PATH;
+    if (Array.isArray(config)) config = config.join(";");
+    // like LUA_PATH, ";;" is where the default path goes
+    config = config.replace(";;", ";" + DEFAULT_PATH + ";");
+    var templates = config.split(";").filter((template) => template != "");
+    templates.forEach(function(template) {
+        if (template.indexOf("?") < 0)
+            throw new OneluaError(ErrorCodes.INVALID_OPTION, `Invalid path template: "${template}", expected a "?" for the module name`);
+    });
+    return templates;
+}
+
+/**
+ * List the files a module may be in, in the order they are tried
+ * @param {string[]} templates
+ * @param {string[]} dirs - Directories relative templates are searched in, absolute ones are searched once
+ * @param {string} name - Module name with its dots turned into `/`, e.g. "lib/util"
+ * @returns {string[]} Absolute paths
+ */
+function searchFiles(templates, dirs, name) {
+    var files = [];
+    dirs.forEach(function(dir) {
+        templates.forEach(function(template) {
+            var file = path.resolve(dir, template.replace(/\?/g, name));
+            if (files.indexOf(file) < 0) files.push(file);
+        });
+    });
+    return files;
+}
+
+module.exports = {
+    DEFAULT_PATH: DEFAULT_PATH,
+    parsePath: parsePath,
+    searchFiles: searchFiles,
+};
@@ -0,0 +1,181 @@
+/*
+ * sourcemap.js
+ *
+ * Generate v3 source maps for the bundled output, by walking the output's AST alongside the AST it was printed from.
+ * Nodes of the original ASTs are expected to carry the path of their script in `loc.source`.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const luaparse = require("luaparse");
+const attributes = require("./attributes");
+
+var BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/** Keys that don't hold child nodes, or hold nodes that aren't printed in place */
+var SKIPPED_KEYS = ['loc', 'range', 'globals', 'comments'];
+
+/**
+ * Encode a number in base64 VLQ
+ * @param {number} value
+ * @returns {string}
+ */
+var encodeVLQ = function(value) {
+    var result = '';
+    var vlq = value < 0 ? ((-value) << 1) + 1 : value << 1;
+    do {
+        var digit = vlq & 31;
+        vlq >>>= 5;
+        if (vlq > 0) {
+            digit |= 32;
+        }
+        result += BASE64[digit];
+    } while (vlq > 0);
+    return result;
+};
+
+/**
+ * Walk both ASTs in lockstep, collecting a mapping for each printed node that has a known origin.
+ * Subtrees whose shapes don't match are skipped.
+ * @param {{}} generated - Node parsed back from the output
+ * @param {{}} original - Node the output was printed from
+ * @param {{}[]} mappings
+ */
+var collectMappings = function(generated, original, mappings) {
+    if (Array.isArray(original)) {
+        if (!Array.isArray(generated)) return;
+        var length = Math.min(original.length, generated.length);
+        for (var index = 0; index < length; index++) {
+            collectMappings(generated[index], original[index], mappings);
+        }
+        return;
+    }
+
+    if (!original || !generated || typeof original != 'object' || typeof generated != 'object')
+        return;
+    if (original.type != generated.type)
+        return;
+
+    if (original.loc && original.loc.source && generated.loc) {
+        mappings.push({
+            generatedLine: generated.loc.start.line,
+            generatedColumn: generated.loc.start.column,
+            source: original.loc.source,
+            originalLine: original.loc.start.line,
+            originalColumn: original.loc.start.column,
+            name: original.type == 'Identifier' && original.name != generated.name ? original.name : null
+        });
+    }
+
+    Object.keys(original).forEach(function(key) {
+        if (SKIPPED_KEYS.indexOf(key) >= 0) return;
+        collectMappings(generated[key], original[key], mappings);
+    });
+};
+
+/**
+ * Map the nodes of the printed code back to where they came from
+ * @param {{}} ast - The final AST the code was printed from
+ * @param {string} code - The printed code
+ * @param {{luaVersion: string}} [target] - The target to parse the code as, see targets.js
+ * @returns {{}[]} Mappings, sorted by their position in the printed code
+ */
+function collect(ast, code, target) {
+    target = target || { luaVersion: '5.1' };
+    var generatedAst = attributes.parse(luaparse, code, {
+        luaVersion: target.luaVersion,
+        scope: false,
+        comments: false,
+        locations: true
+    }, target).ast;
+
+    var mappings = [];
+    collectMappings(generatedAst.body, ast.body, mappings);
+    mappings.sort(function(a, b) {
+        return a.generatedLine - b.generatedLine || a.generatedColumn - b.generatedColumn;
+    });
+    return mappings;
+}
+
+/**
+ * Generate a v3 source map
+ * @param {{}} ast - The final AST the code was printed from
+ * @param {string} code - The printed code
+ * @param {string} mapPath - Path the source map will be written to, sources are made relative to it
+ * @param {{luaVersion: string}} [target] - The target to parse the code as, see targets.js
+ * @returns {{}} The source map object
+ */
+function generate(ast, code, mapPath, target) {
+    var mappings = collect(ast, code, target);
+
+    var mapDir = path.dirname(mapPath);
+    var sources = [];
+    var sourcesContent = [];
+    var names = [];
+
+    var lines = [];
+    var previous = { column: 0, source: 0, line: 0, originalColumn: 0, name: 0 };
+    var lastLine = 0;
+    var lastKey = null;
+
+    mappings.forEach(function(mapping) {
+        var sourceIndex = sources.indexOf(mapping.source);
+        if (sourceIndex < 0) {
+            sourceIndex = sources.push(mapping.source) - 1;
+        }
+
+        var line = mapping.generatedLine - 1;
+        var key = line + ':' + mapping.generatedColumn;
+        if (key == lastKey) return;  // keep the outermost node starting at this position
+        lastKey = key;
+
+        while (lastLine < line) {
+            lines.push([]);
+            lastLine++;
+            previous.column = 0;
+        }
+        if (!lines[line]) lines[line] = [];
+
+        var segment = encodeVLQ(mapping.generatedColumn - previous.column) +
+            encodeVLQ(sourceIndex - previous.source) +
+            encodeVLQ(mapping.originalLine - 1 - previous.line) +
+            encodeVLQ(mapping.originalColumn - previous.originalColumn);
+        previous.column = mapping.generatedColumn;
+        previous.source = sourceIndex;
+        previous.line = mapping.originalLine - 1;
+        previous.originalColumn = mapping.originalColumn;
+
+        if (mapping.name != null) {
+            var nameIndex = names.indexOf(mapping.name);
+            if (nameIndex < 0) {
+                nameIndex = names.push(mapping.name) - 1;
+            }
+            segment += encodeVLQ(nameIndex - previous.name);
+            previous.name = nameIndex;
+        }
+
+        lines[line].push(segment);
+    });
+
+    sources.forEach(function(source) {
+        sourcesContent.push(fs.readFileSync(source, 'utf-8'));
+    });
+
+    return {
+        version: 3,
+        file: path.basename(mapPath).replace(/\.map$/, ''),
+        sources: sources.map(function(source) {
+            return path.relative(mapDir, source).split(path.sep).join('/');
+        }),
+        sourcesContent: sourcesContent,
+        names: names,
+        mappings: lines.map(function(segments) {
+            return segments.join(',');
+        }).join(';')
+    };
+}
+
+module.exports = {
+    collect: collect,
+    generate: generate,
+};
@@ -0,0 +1,41 @@
+/*
+ * targets.js
+ *
+ * The Lua versions a bundle can target.
+ */
+
+const { OneluaError, ErrorCodes } = require("./errors");
+
+/**
+ * name: the luaparse `luaVersion` to parse with, and a display name for errors.
+ * luaparse doesn't support Lua 5.4 yet, whose only syntax additions are variable attributes, see attributes.js
+ */
+const TARGETS = {
+    "5.1": { luaVersion: "5.1", name: "Lua 5.1" },
+    "5.2": { luaVersion: "5.2", name: "Lua 5.2" },
+    "5.3": { luaVersion: "5.3", name: "Lua 5.3" },
+    "5.4": { luaVersion: "5.3", name: "Lua 5.4", attributes: true },
+    "luajit": { luaVersion: "LuaJIT", name: "LuaJIT" },
+};
+
+/** Operators luamin doesn't know the precedence of */
+const LUAMIN_UNSUPPORTED_OPERATORS = ["//", "&", "|", "~", "<<", ">>"];
+
+/**
+ * @param {string?} target - e.g. "5.3", "lua5.3" or "LuaJIT", defaults to Lua 5.1
+ * @returns {{id: string, luaVersion: string, name: string, attributes: boolean?}}
+ * @throws Throws if the target isn't supported
+ */
+function getTarget(target) {
+    var key = String(target || "5.1").toLowerCase().replace(/^lua\s*/, "");
+    if (key == "jit") key = "luajit";
+    if (!(key in TARGETS))
+        throw new OneluaError(ErrorCodes.INVALID_OPTION, `Invalid target: "${target}", expected one of ${Object.keys(TARGETS).join(", ")}`);
+    return { id: key, ...TARGETS[key] };
+}
+
+module.exports = {
+    TARGETS: TARGETS,
+    LUAMIN_UNSUPPORTED_OPERATORS: LUAMIN_UNSUPPORTED_OPERATORS,
+    getTarget: getTarget,
+};
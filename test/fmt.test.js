@@ -0,0 +1,32 @@
+/*
+ * fmt.test.js
+ *
+ * `onelua fmt` must keep what the code means, and leave formatted code as it is.
+ */
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert");
+const fmt = require("../fmt");
+
+describe("format", function() {
+    test("keeps the parentheses of a right operand with the same precedence", function() {
+        var code = [
+            "local a = x + (y - z)",
+            "local b = x * (y / z)",
+            "local c = x - (y + z)",
+            "local d = x / (y * z) % (w % v)",
+            "local e = (x .. y) .. z",
+            "local f = x < (y < z)",
+            "",
+        ].join("\n");
+        assert.strictEqual(fmt.format(code), code);
+    });
+
+    test("drops the parentheses that don't change the order", function() {
+        assert.strictEqual(fmt.format("local a = (x + y) - z\nlocal b = x .. (y .. z)\n"), "local a = x + y - z\nlocal b = x .. y .. z\n");
+    });
+
+    test("keeps a shebang line", function() {
+        assert.strictEqual(fmt.format("#!/usr/bin/env lua\nprint( 1 )\n"), "#!/usr/bin/env lua\nprint(1)\n");
+    });
+});
@@ -0,0 +1,193 @@
+/*
+ * require.test.js
+ *
+ * Bundles are run under fengari, a Lua 5.3 interpreter, and must print what the same scripts print when they are
+ * loaded by its own require().
+ */
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { lua, lauxlib, lualib, to_luastring } = require("fengari");
+const onelua = require("../onelua");
+
+/** Collects what's printed in `__output`, as fengari's print writes to stdout */
+const PRELUDE = `
+__output = {}
+print = function(...)
+    local values = {}
+    for index = 1, select("#", ...) do
+        values[index] = tostring((select(index, ...)))
+    end
+    __output[#__output + 1] = table.concat(values, "\\t")
+end
+`;
+
+/**
+ * Run chunks one after the other in a new Lua state
+ * @param {{code: string, name: string}[]} chunks
+ * @returns {string} What was printed, followed by the error the chunks stopped at
+ */
+function runLua(chunks) {
+    var L = lauxlib.luaL_newstate();
+    lualib.luaL_openlibs(L);
+    var error = null;
+    for (const chunk of [{ code: PRELUDE, name: "prelude" }, ...chunks]) {
+        let status = lauxlib.luaL_loadbuffer(L, to_luastring(chunk.code), null, to_luastring("@" + chunk.name));
+        if (status == lua.LUA_OK) status = lua.lua_pcall(L, 0, 0, 0);
+        if (status != lua.LUA_OK) {
+            error = lua.lua_tojsstring(L, -1);
+            break;
+        }
+    }
+    lauxlib.luaL_loadstring(L, to_luastring('return table.concat(__output, "\\n")'));
+    lua.lua_call(L, 0, 1);
+    var output = lua.lua_tojsstring(L, -1);
+    return error == null ? output : `${output}\nerror: ${error}`;
+}
+
+/**
+ * Write scripts to a new directory
+ * @param {Object<string, string>} files - path: contents
+ * @returns {string} The directory
+ */
+function writeFiles(files) {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), "onelua-test-"));
+    Object.keys(files).forEach(function(file) {
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        fs.writeFileSync(path.join(dir, file), files[file]);
+    });
+    return dir;
+}
+
+/** Builds every case is run with */
+const VARIANTS = {
+    "minified": { minify: true },
+    "not minified": { minify: false },
+    "preload": { preload: true },
+    "debug bundle": { debugBundle: true },
+};
+
+/**
+ * Check that a bundle prints what its scripts print when Lua loads them
+ * @param {Object<string, string>} files - path: contents, with the entry script in main.lua
+ * @param {{}} [options] - Build options
+ */
+function describeCase(name, files, options) {
+    describe(name, function() {
+        Object.keys(VARIANTS).forEach(function(variant) {
+            // each test has its own files, the hooks of node:test being missing from Node 16
+            test(variant, async function() {
+                var dir = writeFiles(files);
+                try {
+                    var expected = runLua([
+                        { code: `package.path = ${JSON.stringify(dir + "/?.lua;" + dir + "/?/init.lua")}`, name: "path" },
+                        { code: files["main.lua"], name: path.join(dir, "main.lua") },
+                    ]);
+                    var result = await onelua.build(path.join(dir, "main.lua"), { target: "5.3", cache: false, ...VARIANTS[variant], ...options });
+                    // the bundle mustn't find the scripts with the host's require()
+                    var output = runLua([
+                        { code: 'package.path = ""', name: "path" },
+                        { code: result.code, name: "bundle.lua" },
+                    ]);
+                    assert.strictEqual(output, expected);
+                } finally {
+                    fs.rmSync(dir, { recursive: true, force: true });
+                }
+            });
+        });
+    });
+}
+
+describeCase("returns what a module returns, running it once", {
+    "main.lua": 'local a = require("counter")\nlocal b = require("counter")\nprint(a == b, a.loads, loads)\n',
+    "counter.lua": "loads = (loads or 0) + 1\nreturn { loads = loads }\n",
+});
+
+describeCase("returns true for a module returning nothing", {
+    "main.lua": 'print(require("empty"), require("empty"), loads)\n',
+    "empty.lua": "loads = (loads or 0) + 1\n",
+});
+
+describeCase("runs a module returning false again", {
+    "main.lua": 'print(require("no"), require("no"), loads)\n',
+    "no.lua": "loads = (loads or 0) + 1\nreturn false\n",
+});
+
+describeCase("returns what a module stored in package.loaded", {
+    "main.lua": [
+        'local a, b, c, d = require("lib.vararg"), require("lib.local"), require("lib.string"), require("member")',
+        "print(a.name, b.name, c.name, d.name, b.stored, b.read)",
+        'print(a == require("lib.vararg"), b == require("lib.local"), c == require("lib.string"), d == require("member"))',
+        'print(require("lib.returns").name, package.loaded.other.name)',
+    ].join("\n"),
+    "lib/vararg.lua": 'package.loaded[...] = { name = "vararg" }\n',
+    "lib/local.lua": [
+        "local name = ...",
+        'local M = { name = "local" }',
+        "local function store() package.loaded[name] = M end",
+        "store()",
+        "M.read = package.loaded[name] == M",
+        "M.stored = true",
+    ].join("\n"),
+    "lib/string.lua": 'package.loaded["lib.string"] = { name = "string" }\n',
+    "member.lua": 'package.loaded.member = { name = "member" }\n',
+    "lib/returns.lua": 'package.loaded.other = { name = "other" }\npackage.loaded[...] = { name = "stored" }\nreturn { name = "returned" }\n',
+});
+
+describeCase("passes the module name in ...", {
+    "main.lua": 'print(require("lib.name"))\nprint(require("lib.name"))\n',
+    "lib/name.lua": 'local name = ...\nreturn name .. " " .. select("#", ...)\n',
+});
+
+describeCase("raises the errors of a module, which runs again when required again", {
+    "main.lua": [
+        'print(pcall(function() return require("fails") end))',
+        'print(pcall(function() return require("fails") end))',
+    ].join("\n"),
+    "fails.lua": 'tries = (tries or 0) + 1\nerror("failed " .. tries, 0)\n',
+});
+
+describeCase("requires bundled modules by a name known at runtime", {
+    "main.lua": [
+        'local name = "lib.dynamic"',
+        "print(require(name).name, require(name) == require(name))",
+        'local missing = "lib.missing"',
+        "local ok, err = pcall(function() return require(missing) end)",
+        "print(ok, (err:match(\"^module 'lib.missing' not found\")))",
+    ].join("\n"),
+    "lib/dynamic.lua": 'return { name = "dynamic" }\n',
+}, { dynamicRequire: true, include: ["lib.dynamic"] });
+
+describeCase("leaves other indexes to the real package.loaded", {
+    "main.lua": [
+        'local lib = require("lib.register")',
+        'for name, value in pairs({ one = 1 }) do package.loaded["entry." .. name] = value end',
+        'local key = "entry.two"',
+        "package.loaded[key] = 2",
+        'print(lib, package.loaded["lib.one"], package.loaded["entry.one"], package.loaded["entry.two"])',
+    ].join("\n"),
+    "lib/register.lua": [
+        'for name, value in pairs({ one = 1 }) do package.loaded["lib." .. name] = value end',
+        'return "register"',
+    ].join("\n"),
+});
+
+describe("package.loaded", function() {
+    test("warns when a local taken from ... may no longer be the module's name", async function() {
+        var dir = writeFiles({
+            "main.lua": 'require("renamed")\n',
+            "renamed.lua": "local name = ...\nname = name .. \"2\"\npackage.loaded[name] = {}\n",
+        });
+        try {
+            var result = await onelua.build(path.join(dir, "main.lua"), { cache: false });
+            assert.deepStrictEqual(result.warnings.map((warning) => [warning.code, warning.line]), [["AMBIGUOUS_EXPORT", 3]]);
+            result = await onelua.build(path.join(dir, "main.lua"), { cache: false, preload: true });
+            assert.deepStrictEqual(result.warnings, []);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});